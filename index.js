@@ -8,7 +8,8 @@
  * - Security headers (XSS, clickjacking, content type protection)
  * - Trust proxy for accurate IP detection
  * - Comprehensive input validation
- * - Replay attack prevention (nonce/timestamp)
+ * - Room ownership via signed announcements (BLS, Chia AugSchemeMPL)
+ * - Replay attack prevention (nonce/timestamp in the signed envelope)
  * - IP blocking for abuse
  * - Bounded rate limit maps
  * - Error handling without information leakage
@@ -19,7 +20,11 @@
 const express = require('express');
 const http = require('http');
 const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const net = require('net');
+const { bls12_381: bls } = require('@noble/curves/bls12-381');
+const Ajv = require('ajv');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,32 +38,145 @@ const PORT = process.env.PORT || 8766;
 const ANNOUNCE_INTERVAL = 60; // Seconds
 const MIN_ANNOUNCE_INTERVAL = 30; // Minimum interval
 const PEER_TIMEOUT = process.env.PEER_TIMEOUT ? parseInt(process.env.PEER_TIMEOUT) : 600; // 10 minutes (rooms expire after this) - increased from 5 min
-const MAX_ROOMS = 100; // Hard limit to prevent OOM
+
+// Room expiry: seconds without updates before a room expires, per status.
+// Rooms whose state channel holds funds get the longer PROTECTED_ROOM_TTL.
+const ROOM_TTL_WAITING = process.env.ROOM_TTL_WAITING ? parseInt(process.env.ROOM_TTL_WAITING) : PEER_TIMEOUT; // Lobbies nobody refreshes
+const ROOM_TTL_ACTIVE = process.env.ROOM_TTL_ACTIVE ? parseInt(process.env.ROOM_TTL_ACTIVE) : 3600; // Games in play or settling
+const ROOM_TTL_FINISHED = process.env.ROOM_TTL_FINISHED ? parseInt(process.env.ROOM_TTL_FINISHED) : 300; // Finished or cancelled rooms
+const MIN_ROOM_TTL = process.env.MIN_ROOM_TTL ? parseInt(process.env.MIN_ROOM_TTL) : 60; // Bounds for a client-requested ttl
+const MAX_ROOM_TTL = process.env.MAX_ROOM_TTL ? parseInt(process.env.MAX_ROOM_TTL) : 86400;
+const PROTECTED_ROOM_TTL = process.env.PROTECTED_ROOM_TTL ? parseInt(process.env.PROTECTED_ROOM_TTL) : 86400; // Funded games whose players stopped announcing
+const MAX_ROOMS = process.env.MAX_ROOMS ? parseInt(process.env.MAX_ROOMS) : 100; // Hard limit to prevent OOM
+const MAX_PROTECTED_ROOMS_PER_KEY = process.env.MAX_PROTECTED_ROOMS_PER_KEY ? parseInt(process.env.MAX_PROTECTED_ROOMS_PER_KEY) : 5; // Funded channels one owner key may hold
+const MAX_PROTECTED_ROOMS_PER_IP = process.env.MAX_PROTECTED_ROOMS_PER_IP ? parseInt(process.env.MAX_PROTECTED_ROOMS_PER_IP) : 20; // Funded channels locked from one IP
+
+// Storage
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory'; // 'memory' or 'file'
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'rooms.json');
+const ARCHIVE_FILE = process.env.ARCHIVE_FILE || STORAGE_FILE.replace(/(\.json)?$/, '-archive.json'); // Finished games (file driver)
+const MAX_ARCHIVED_ROOMS = process.env.MAX_ARCHIVED_ROOMS ? parseInt(process.env.MAX_ARCHIVED_ROOMS) : 10000; // Oldest archived games are dropped beyond this
+const PLAYER_STATS_FILE = process.env.PLAYER_STATS_FILE || STORAGE_FILE.replace(/(\.json)?$/, '-players.json'); // Leaderboard stats (file driver)
+const MAX_PLAYER_STATS = process.env.MAX_PLAYER_STATS ? parseInt(process.env.MAX_PLAYER_STATS) : 50000; // Least recently active players are dropped beyond this
+const LOG_COMPACT_SLACK = 1000; // Append-only files are rewritten once they hold this many lines beyond twice their records
 
 // Rate limiting
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
 // Increased limits for development - polling every 5s = 12 requests/min, so we need higher limits
 const RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS ? parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) : 120; // Max requests per window (GET requests) - 2 per second
 const RATE_LIMIT_MAX_ANNOUNCES = process.env.RATE_LIMIT_MAX_ANNOUNCES ? parseInt(process.env.RATE_LIMIT_MAX_ANNOUNCES) : 20; // Max POST requests per window - more lenient for room creation
+const RATE_LIMIT_MAX_HEARTBEATS = process.env.RATE_LIMIT_MAX_HEARTBEATS ? parseInt(process.env.RATE_LIMIT_MAX_HEARTBEATS) : 60; // Max heartbeats per window (own budget, separate from announces)
+const RATE_LIMIT_MAX_SIGNALS = process.env.RATE_LIMIT_MAX_SIGNALS ? parseInt(process.env.RATE_LIMIT_MAX_SIGNALS) : 120; // Max signaling messages per window (ICE candidates come in bursts)
 const DISABLE_RATE_LIMIT = process.env.DISABLE_RATE_LIMIT === 'true'; // Allow disabling in dev
-const rateLimitMap = new Map(); // IP -> { count, announceCount, resetTime, violations }
+const rateLimitMap = new Map(); // IP -> { count, announceCount, heartbeatCount, signalCount, resetTime, violations }
 const MAX_RATE_LIMIT_ENTRIES = 1000; // Hard limit for rateLimitMap
 
 // IP blocking (for abuse)
-const BLOCKED_IPS = new Set(); // Can be populated from environment
+const BLOCKED_IPS = new Set(); // Permanent blocks: BLOCKED_IPS (comma-separated), BLOCKLIST_FILE or the admin API
 const MAX_VIOLATIONS = process.env.MAX_VIOLATIONS ? parseInt(process.env.MAX_VIOLATIONS) : 10; // Block after this many violations (increased for dev)
 const BLOCK_DURATION = process.env.BLOCK_DURATION ? parseInt(process.env.BLOCK_DURATION) : 5 * 60 * 1000; // 5 minutes block (reduced from 1 hour for dev)
 const blockedIPs = new Map(); // IP -> { blockedUntil, reason }
+const BLOCKLIST_FILE = process.env.BLOCKLIST_FILE || null; // JSON { ips, addresses } loaded at startup
+const bannedAddresses = new Set(); // Wallet/identity addresses barred from rooms: BANNED_ADDRESSES, BLOCKLIST_FILE or the admin API
+
+// Nonce tracking (prevent replay attacks). Signatures cover the signing
+// key, so a nonce only has to be unique per key.
+const usedNonces = new Map(); // publicKey -> Map(nonce -> expiresAt, when its timestamp can no longer pass)
+const MAX_NONCES_PER_KEY = process.env.MAX_NONCES_PER_KEY ? parseInt(process.env.MAX_NONCES_PER_KEY) : 1000; // A key's signed requests are refused while it has this many live nonces (above what the rate limits let one client reach)
+const MAX_NONCE_LENGTH = 100;
+const MAX_TIMESTAMP_SKEW = 30000; // 30 second tolerance
+
+// Admin access (listing private rooms, /admin API); disabled when unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Room redaction: anonymous callers only see these fields (the lobby view).
+// Participants, authorised frontends (FRONTEND_TOKENS, comma-separated) and
+// admins get full room details.
+const PUBLIC_ROOM_FIELDS = process.env.PUBLIC_ROOM_FIELDS
+  ? process.env.PUBLIC_ROOM_FIELDS.split(',').map(field => field.trim()).filter(Boolean)
+  : [
+    'roomId', 'appBaseUrl', 'public', 'network',
+    'gameType', 'gameOptions', 'status',
+    'player1Name', 'player2Name',
+    'wagerAmount', 'stateChannelStatus', 'totalLockedAmount',
+    'createdAt', 'updatedAt', 'changeSeq'
+  ];
+const FRONTEND_TOKENS = process.env.FRONTEND_TOKENS
+  ? process.env.FRONTEND_TOKENS.split(',').map(token => token.trim()).filter(Boolean)
+  : [];
+
+// Prometheus metrics (GET /metrics); open like /health unless a token is set
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // Seconds
+
+// Signed announcements (room ownership)
+const SIGNATURE_DST = 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_AUG_'; // Chia AugSchemeMPL
+
+// Game registry (game types, wager limits and option schemas)
+const GAMES_FILE = process.env.GAMES_FILE || path.join(__dirname, 'games.json');
 
-// Nonce tracking (prevent replay attacks)
-const usedNonces = new Set();
-const NONCE_CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const MAX_NONCES = 5000; // Hard limit
+// Real-time room feed (Server-Sent Events)
+const EVENT_BUFFER_SIZE = 500; // Events kept for Last-Event-ID resume
+const MAX_EVENT_CLIENTS = process.env.MAX_EVENT_CLIENTS ? parseInt(process.env.MAX_EVENT_CLIENTS) : 500; // Hard limit on open streams
+const EVENT_HEARTBEAT_INTERVAL = 25 * 1000; // Keep idle streams open behind proxies (Heroku drops after 55s)
+
+// Quick-match (POST /match)
+const MATCH_TICKET_TTL = process.env.MATCH_TICKET_TTL ? parseInt(process.env.MATCH_TICKET_TTL) : 300; // Seconds a queued player waits for a partner
+const MAX_MATCH_TICKETS = process.env.MAX_MATCH_TICKETS ? parseInt(process.env.MAX_MATCH_TICKETS) : 1000; // Hard limit on queued players
+const MATCH_MAX_WAIT = 25; // Longest long-poll in seconds (below the 30s request timeout)
+const MATCH_POLL_INTERVAL = 5; // Suggested seconds between plain polls
+
+// WebRTC signaling mailbox (/rooms/:roomId/signals)
+const SIGNAL_TYPES = ['offer', 'answer', 'candidate', 'bye'];
+const MAX_SIGNAL_SIZE = 4096; // Bytes of JSON per message payload
+const MAX_SIGNALS_PER_ROOM = 100; // Oldest messages are dropped beyond this
+const MAX_SIGNAL_WAIT = 25; // Longest long-poll in seconds (below the 30s request timeout)
+
+// Incremental sync (GET /announce?since=)
+const MAX_TOMBSTONES = 1000; // Removed rooms remembered for delta responses
+const BOOT_ID = crypto.randomBytes(4).toString('hex'); // Invalidates ETags across restarts
 
 // Request size limits
 const MAX_REQUEST_SIZE = 10 * 1024; // 10KB max request body
 const MAX_ROOM_ID_LENGTH = 100;
 const MAX_NAME_LENGTH = 50;
+const INVITE_TOKEN_BYTES = 24; // Private room invite tokens
+const MAX_TRANSITION_HISTORY = 50; // Lifecycle transitions kept per room
+
+// Logging: one JSON object per line, at or above LOG_LEVEL
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : 'info';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/; // Incoming X-Request-ID values we reuse (e.g. Heroku's router)
+
+// ============================================================================
+// LOGGING
+// ============================================================================
+
+/**
+ * Write a structured log line
+ * 
+ * `event` is a dotted name such as 'room.created'; `fields` adds context
+ * (roomId, ip, requestId, ...). Errors are serialized with message and stack.
+ */
+function log(level, event, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...fields }, (key, value) =>
+    value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Log fields identifying a request: its ID (see X-Request-ID) and client IP
+ */
+function requestContext(req) {
+  return { requestId: req.id, ip: getClientIP(req) };
+}
 
 // ============================================================================
 // MIDDLEWARE
@@ -74,6 +192,34 @@ app.use(express.urlencoded({ extended: true, limit: MAX_REQUEST_SIZE }));
 // Request timeout (prevent hanging requests)
 server.setTimeout(30000); // 30 seconds
 
+// Request IDs: reuse the proxy's X-Request-ID when sane, echo it back, and
+// log each request at debug level
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-ID');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    log('debug', 'http.request', {
+      ...requestContext(req),
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6)
+    });
+  });
+  next();
+});
+
+// Request metrics (route and status are known once the response is sent)
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    recordHttpRequest(req, res.statusCode, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
 // Security headers
 app.use((req, res, next) => {
   // XSS Protection
@@ -102,8 +248,9 @@ app.use((req, res, next) => {
 // CORS (with security considerations)
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Invite-Token, X-Identity-Key, X-Timestamp, X-Nonce, X-Signature, If-Match, If-None-Match, If-Modified-Since, Last-Event-ID, X-Request-ID');
+  res.header('Access-Control-Expose-Headers', 'ETag, Last-Modified, X-Request-ID');
   res.header('Access-Control-Max-Age', '86400'); // 24 hours
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -114,6 +261,13 @@ app.use((req, res, next) => {
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+/**
+ * Check for a loopback address (never rate limited or blocked)
+ */
+function isLocalhostIP(ip) {
+  return ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1' || ip === 'localhost';
+}
+
 /**
  * Check if IP is blocked
  */
@@ -141,8 +295,8 @@ function isIPBlocked(ip) {
  */
 function blockIP(ip, reason = 'Rate limit exceeded', duration = BLOCK_DURATION) {
   // Don't block localhost even if rate limited
-  if (ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1' || ip === 'localhost') {
-    console.warn(`[SECURITY] Would block localhost ${ip} but skipping: ${reason}`);
+  if (isLocalhostIP(ip)) {
+    log('warn', 'ip.block_skipped', { ip, reason });
     return;
   }
   
@@ -150,7 +304,8 @@ function blockIP(ip, reason = 'Rate limit exceeded', duration = BLOCK_DURATION)
     blockedUntil: Date.now() + duration,
     reason: reason
   });
-  console.warn(`[SECURITY] IP ${ip} blocked for ${duration / 1000}s: ${reason}`);
+  metrics.ipBlocks.temporary++;
+  log('warn', 'ip.blocked', { ip, reason, durationSeconds: duration / 1000 });
 }
 
 /**
@@ -176,11 +331,12 @@ function rateLimit(req, res, next) {
   const now = Date.now();
 
   // Bypass rate limiting for localhost/127.0.0.1 in development
-  if (ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1' || ip === 'localhost') {
+  if (isLocalhostIP(ip)) {
     // Still check for blocks, but don't rate limit localhost
     const blockStatus = isIPBlocked(ip);
     if (blockStatus.blocked) {
-      console.warn(`[SECURITY] Blocked IP ${ip} access attempt: ${blockStatus.reason}`);
+      log('warn', 'ip.request_blocked', { ...requestContext(req), reason: blockStatus.reason });
+      metrics.blockedRequests++;
       return res.status(403).json({
         'failure reason': `Access denied: ${blockStatus.reason}`
       });
@@ -190,7 +346,8 @@ function rateLimit(req, res, next) {
 
   const blockStatus = isIPBlocked(ip);
   if (blockStatus.blocked) {
-    console.warn(`[SECURITY] Blocked IP ${ip} access attempt: ${blockStatus.reason}`);
+    log('warn', 'ip.request_blocked', { ...requestContext(req), reason: blockStatus.reason });
+    metrics.blockedRequests++;
     return res.status(403).json({
       'failure reason': `Access denied: ${blockStatus.reason}`
     });
@@ -202,6 +359,8 @@ function rateLimit(req, res, next) {
     rateLimitData = {
       count: 0,
       announceCount: 0,
+      heartbeatCount: 0,
+      signalCount: 0,
       resetTime: now + RATE_LIMIT_WINDOW,
       violations: 0
     };
@@ -216,16 +375,41 @@ function rateLimit(req, res, next) {
     for (let i = 0; i < toRemove; i++) {
       rateLimitMap.delete(entries[i][0]);
     }
-    console.warn(`[MEMORY] Rate limit map exceeded limit, removed ${toRemove} oldest entries`);
+    log('warn', 'ratelimit.trimmed', { removed: toRemove, limit: MAX_RATE_LIMIT_ENTRIES });
   }
   
-  if (req.method === 'POST') {
+  if (req.method === 'POST' && req.path.endsWith('/heartbeat')) {
+    rateLimitData.heartbeatCount++;
+    if (rateLimitData.heartbeatCount > RATE_LIMIT_MAX_HEARTBEATS) {
+      rateLimitData.violations++;
+      if (rateLimitData.violations >= MAX_VIOLATIONS) {
+        blockIP(ip, 'Excessive heartbeats');
+      }
+      metrics.rateLimitRejections.heartbeats++;
+      return res.status(429).json({
+        'failure reason': `Too many heartbeats. Try again in ${Math.ceil((rateLimitData.resetTime - now) / 1000)} seconds.`
+      });
+    }
+  } else if (req.method === 'POST' && req.path.endsWith('/signals')) {
+    rateLimitData.signalCount++;
+    if (rateLimitData.signalCount > RATE_LIMIT_MAX_SIGNALS) {
+      rateLimitData.violations++;
+      if (rateLimitData.violations >= MAX_VIOLATIONS) {
+        blockIP(ip, 'Excessive signaling messages');
+      }
+      metrics.rateLimitRejections.signals++;
+      return res.status(429).json({
+        'failure reason': `Too many signaling messages. Try again in ${Math.ceil((rateLimitData.resetTime - now) / 1000)} seconds.`
+      });
+    }
+  } else if (req.method === 'POST' || req.method === 'DELETE') {
     rateLimitData.announceCount++;
     if (rateLimitData.announceCount > RATE_LIMIT_MAX_ANNOUNCES) {
       rateLimitData.violations++;
       if (rateLimitData.violations >= MAX_VIOLATIONS) {
         blockIP(ip, 'Excessive announce attempts');
       }
+      metrics.rateLimitRejections.announces++;
       return res.status(429).json({
         'failure reason': `Too many announce requests. Try again in ${Math.ceil((rateLimitData.resetTime - now) / 1000)} seconds.`
       });
@@ -237,6 +421,7 @@ function rateLimit(req, res, next) {
       if (rateLimitData.violations >= MAX_VIOLATIONS) {
         blockIP(ip, 'Excessive requests');
       }
+      metrics.rateLimitRejections.requests++;
       return res.status(429).json({
         'failure reason': `Too many requests. Try again in ${Math.ceil((rateLimitData.resetTime - now) / 1000)} seconds.`
       });
@@ -249,12 +434,580 @@ function rateLimit(req, res, next) {
 // STORAGE
 // ============================================================================
 
-const rooms = new Map(); // roomId -> room data
+/**
+ * Create a room store for the given driver
+ * 
+ * Every driver exposes the same Map-like interface (get, set, has, delete,
+ * clear, keys, values, entries, size) plus flush() and close(). Rooms are
+ * plain objects: after mutating a room in place, call set() again so
+ * persistent drivers pick up the change.
+ * 
+ * Drivers:
+ * - memory: rooms live only in this process (lost on restart)
+ * - file: rooms are kept in memory and written to a JSON file (atomic
+ *   rename), coalescing all changes made in the same tick into one write
+ * 
+ * options.key names the field records are keyed by when loaded from disk
+ * (default roomId), and options.collection the property of the JSON file
+ * that holds them (default rooms).
+ * 
+ * With options.appendOnly the file driver keeps a JSON-lines log instead
+ * (one `set`, `delete`, `clear` or `meta` entry per line), appending only
+ * the changes of each tick. Large stores that change a record at a time
+ * use it so a change does not rewrite the whole file; the log is rewritten
+ * (compacted) at startup and whenever it outgrows its records by
+ * LOG_COMPACT_SLACK lines. Files in the snapshot format are still read.
+ * 
+ * Besides its records a store keeps a few named metadata values (saved with
+ * them by persistent drivers), read with getMeta() and written with setMeta().
+ */
+function createRoomStore(driver = 'memory', options = {}) {
+  const map = new Map();
+  const meta = {};
+  const key = options.key || 'roomId';
+  const collection = options.collection || 'rooms';
+  let persist = () => {};
+  let flush = () => {};
+  
+  if (driver === 'file') {
+    const filePath = options.filePath || STORAGE_FILE;
+    let flushScheduled = false;
+    let pending = []; // Append-only: changes not written yet, e.g. { set: key }
+    let logLines = 0; // Append-only: lines in the file
+    
+    // Apply one snapshot or log entry read from disk
+    const load = (saved) => {
+      if (saved.set) {
+        map.set(saved.set[key], saved.set);
+      } else if (saved.delete !== undefined) {
+        map.delete(saved.delete);
+      } else if (saved.clear) {
+        map.clear();
+      } else {
+        // Archive and player files used to be written under `rooms` too
+        for (const record of saved[collection] || saved.rooms || []) {
+          map.set(record[key], record);
+        }
+      }
+      Object.assign(meta, saved.meta);
+    };
+    
+    // Load rooms saved by a previous run (a log is compacted right away)
+    let loaded = false;
+    if (fs.existsSync(filePath)) {
+      try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        if (options.appendOnly) {
+          for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+              load(JSON.parse(line));
+            } catch (error) {
+              // A line cut short by a crash mid-append
+              log('warn', 'storage.line_skipped', { file: filePath, error });
+            }
+          }
+        } else {
+          load(JSON.parse(text));
+        }
+        loaded = true;
+        log('info', 'storage.loaded', { file: filePath, [collection]: map.size });
+      } catch (error) {
+        log('error', 'storage.load_failed', { file: filePath, error });
+      }
+    }
+    
+    // Rewrite the whole file (atomic rename): the snapshot, or a log
+    // holding just the current records
+    const writeAll = () => {
+      pending = [];
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      if (options.appendOnly) {
+        const lines = [JSON.stringify({ meta }), ...Array.from(map.values(), record => JSON.stringify({ set: record }))];
+        fs.writeFileSync(tmpPath, lines.join('\n') + '\n');
+        logLines = lines.length;
+      } else {
+        fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: Date.now(), meta, [collection]: Array.from(map.values()) }));
+      }
+      fs.renameSync(tmpPath, filePath);
+    };
+    
+    flush = () => {
+      flushScheduled = false;
+      if (!options.appendOnly || logLines > map.size * 2 + LOG_COMPACT_SLACK) {
+        writeAll();
+        return;
+      }
+      const lines = [];
+      for (const change of pending) {
+        if (change.set !== undefined) {
+          // Written as it is now, like the snapshot; gone if deleted since
+          if (map.has(change.set)) lines.push(JSON.stringify({ set: map.get(change.set) }));
+        } else if (change.meta !== undefined) {
+          lines.push(JSON.stringify({ meta: { [change.meta]: meta[change.meta] } }));
+        } else {
+          lines.push(JSON.stringify(change));
+        }
+      }
+      if (lines.length > 0) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, lines.join('\n') + '\n');
+        logLines += lines.length;
+      }
+      pending = []; // Kept for the next flush if the append failed
+    };
+    
+    if (options.appendOnly && loaded) {
+      try {
+        writeAll();
+      } catch (error) {
+        log('error', 'storage.write_failed', { file: filePath, error });
+      }
+    }
+    
+    persist = (change) => {
+      if (options.appendOnly) pending.push(change);
+      if (flushScheduled) return;
+      flushScheduled = true;
+      setImmediate(() => {
+        if (!flushScheduled) return; // Already flushed by close()
+        try {
+          flush();
+        } catch (error) {
+          log('error', 'storage.write_failed', { file: filePath, error });
+        }
+      });
+    };
+  } else if (driver !== 'memory') {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected 'memory' or 'file')`);
+  }
+  
+  return {
+    driver,
+    get size() {
+      return map.size;
+    },
+    get: (roomId) => map.get(roomId),
+    has: (roomId) => map.has(roomId),
+    set(roomId, room) {
+      map.set(roomId, room);
+      persist({ set: roomId });
+      return this;
+    },
+    delete(roomId) {
+      const deleted = map.delete(roomId);
+      if (deleted) persist({ delete: roomId });
+      return deleted;
+    },
+    clear() {
+      map.clear();
+      persist({ clear: true });
+    },
+    keys: () => map.keys(),
+    values: () => map.values(),
+    entries: () => map.entries(),
+    getMeta: (name) => meta[name],
+    setMeta(name, value) {
+      meta[name] = value;
+      persist({ meta: name });
+    },
+    flush: () => flush(),
+    close: () => flush()
+  };
+}
+
+const rooms = createRoomStore(STORAGE_DRIVER); // roomId -> room data
+const archive = createRoomStore(STORAGE_DRIVER, { filePath: ARCHIVE_FILE, key: 'archiveId', collection: 'games', appendOnly: true }); // archiveId -> ended room
+
+const playerStats = createRoomStore(STORAGE_DRIVER, { filePath: PLAYER_STATS_FILE, key: 'statsId', collection: 'players', appendOnly: true }); // network:player -> outcomes per game type
+
+// Room statuses after which no game is played in the room
+const FINAL_ROOM_STATUSES = ['finished', 'cancelled'];
+
+/**
+ * Copy a room into the archive (history), replacing any earlier snapshot
+ * 
+ * Called when a room reaches a final status and again when it leaves the
+ * tracker, so the archive keeps the last known balances and settlement link.
+ * Lobbies that never got a second player are not archived. `reason` is
+ * kept from the first snapshot: 'finished', 'cancelled', 'expired',
+ * 'evicted' or 'deleted'.
+ */
+function archiveRoom(room, reason) {
+  if (room.status === 'waiting' || !room.player2WalletAddress) return;
+  const archiveId = `${room.roomId}-${room.createdAt}`;
+  const previous = archive.get(archiveId);
+  archive.set(archiveId, {
+    ...toFullRoom(room),
+    archiveId,
+    endedAt: previous ? previous.endedAt : Date.now(),
+    endReason: previous ? previous.endReason : reason
+  });
+  // Map order is archive order, so the first key is the oldest game
+  while (archive.size > MAX_ARCHIVED_ROOMS) {
+    archive.delete(archive.keys().next().value);
+  }
+}
+
+/**
+ * Remove a room from the tracker
+ * 
+ * Publishes the removal, archives played rooms and drops the room's
+ * signaling mailbox. `reason` is 'expired', 'evicted', 'deleted' or
+ * 'removed' (by an admin).
+ */
+function removeRoom(room, reason) {
+  rooms.delete(room.roomId);
+  metrics.roomsRemoved[reason]++;
+  publishRoomEvent(reason === 'expired' ? 'expired' : 'deleted', room);
+  archiveRoom(room, reason);
+  closeSignalMailbox(room.roomId);
+}
+
+// Per game type outcome counters of a player
+const EMPTY_GAME_STATS = { played: 0, wins: 0, losses: 0, draws: 0, netMojos: 0 };
+
+/**
+ * Player a seat is credited to: the identity address, else the wallet
+ */
+function seatPlayerId(room, player) {
+  return room[`${player}IdentityAddress`] || room[`${player}WalletAddress`] || null;
+}
+
+/**
+ * Credit both players of a room that just finished
+ * 
+ * The result is the balance change since funds were locked: a player who
+ * gained mojos won, one who lost mojos lost, and everything else (including
+ * unfunded games) is a draw. Rooms without a gameType are not counted, nor
+ * are rooms whose player 2 was announced by the owner instead of signing
+ * for the seat (player2JoinedAt), since the owner could invent opponents.
+ */
+function recordOutcome(room) {
+  if (!room.gameType || !room.player2JoinedAt) return;
+  const network = roomNetwork(room);
+  const now = Date.now();
+  for (const player of ['player1', 'player2']) {
+    const playerId = seatPlayerId(room, player);
+    if (!playerId) continue;
+    const opening = room.openingBalances ? room.openingBalances[player] : null;
+    const balance = room[`${player}Balance`];
+    const net = opening !== null && balance !== null && balance !== undefined ? Number(balance) - opening : 0;
+    
+    const statsId = `${network}:${playerId}`;
+    const stats = playerStats.get(statsId) || { statsId, player: playerId, network, playerName: null, games: {}, firstPlayedAt: now };
+    const game = stats.games[room.gameType] || { ...EMPTY_GAME_STATS };
+    game.played++;
+    if (net > 0) game.wins++;
+    else if (net < 0) game.losses++;
+    else game.draws++;
+    game.netMojos += net;
+    stats.games[room.gameType] = game;
+    stats.playerName = room[`${player}Name`] || stats.playerName;
+    stats.lastPlayedAt = now;
+    // Re-insert so map order is least recently active first
+    playerStats.delete(statsId);
+    playerStats.set(statsId, stats);
+  }
+  while (playerStats.size > MAX_PLAYER_STATS) {
+    playerStats.delete(playerStats.keys().next().value);
+  }
+}
+
+/**
+ * A player's counters for one game type, or summed over all of them
+ */
+function playerGameStats(stats, gameType) {
+  if (gameType !== 'all') {
+    return { ...EMPTY_GAME_STATS, ...stats.games[gameType] };
+  }
+  const totals = { ...EMPTY_GAME_STATS };
+  for (const game of Object.values(stats.games)) {
+    for (const field of Object.keys(totals)) {
+      totals[field] += game[field];
+    }
+  }
+  return totals;
+}
+
+// Room fields that are never returned to clients
+const INTERNAL_ROOM_FIELDS = ['inviteToken', 'fundedByIp'];
+
+/**
+ * Full room details for participants and authorised frontends
+ * (internal fields stripped)
+ */
+function toFullRoom(room) {
+  const fullRoom = { ...room };
+  for (const field of INTERNAL_ROOM_FIELDS) {
+    delete fullRoom[field];
+  }
+  return fullRoom;
+}
+
+/**
+ * Lobby view of a room for anonymous callers: only PUBLIC_ROOM_FIELDS,
+ * plus the number of open seats
+ */
+function toPublicRoom(room) {
+  const publicRoom = {};
+  for (const field of PUBLIC_ROOM_FIELDS) {
+    if (room[field] !== undefined && !INTERNAL_ROOM_FIELDS.includes(field)) {
+      publicRoom[field] = room[field];
+    }
+  }
+  publicRoom.openSeats = room.player2PeerId || room.player2WalletAddress ? 0 : 1;
+  return publicRoom;
+}
+
+/**
+ * Pick the room view a caller is entitled to
+ */
+function toRoomView(room, fullAccess) {
+  return fullAccess ? toFullRoom(room) : toPublicRoom(room);
+}
+
+/**
+ * Generate an unguessable invite token for a private room
+ */
+function generateInviteToken() {
+  return crypto.randomBytes(INVITE_TOKEN_BYTES).toString('base64url');
+}
+
+// ============================================================================
+// GAME REGISTRY
+// ============================================================================
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+
+/**
+ * Load the game registry from a JSON config file
+ * 
+ * The file holds { "games": [...] }, each entry with gameType, displayName,
+ * minWager/maxWager (mojos), players and optionsSchema (JSON Schema for the
+ * room's gameOptions). A malformed registry aborts startup rather than
+ * silently dropping a game every announce for it would then fail on.
+ */
+function loadGameRegistry(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!config || !Array.isArray(config.games)) {
+    throw new Error(`Invalid game registry ${filePath}: expected { "games": [...] }`);
+  }
+  
+  const registry = new Map();
+  for (const game of config.games) {
+    const label = `Invalid game registry ${filePath}: game ${JSON.stringify(game && game.gameType)}`;
+    if (!game || typeof game.gameType !== 'string' || !/^[a-z0-9_-]+$/.test(game.gameType)) {
+      throw new Error(`${label}: gameType must be lowercase alphanumeric, dash or underscore`);
+    }
+    if (registry.has(game.gameType)) {
+      throw new Error(`${label}: duplicate gameType`);
+    }
+    if (typeof game.displayName !== 'string' || game.displayName.trim().length === 0) {
+      throw new Error(`${label}: missing displayName`);
+    }
+    if (!Number.isSafeInteger(game.minWager) || !Number.isSafeInteger(game.maxWager) ||
+        game.minWager < 0 || game.maxWager < game.minWager) {
+      throw new Error(`${label}: minWager/maxWager must be integers with 0 <= minWager <= maxWager`);
+    }
+    if (game.players !== 2) {
+      throw new Error(`${label}: players must be 2 (rooms have two seats)`);
+    }
+    const optionsSchema = game.optionsSchema || { type: 'object', additionalProperties: false };
+    let validateOptions;
+    try {
+      validateOptions = ajv.compile(optionsSchema);
+    } catch (error) {
+      throw new Error(`${label}: invalid optionsSchema (${error.message})`);
+    }
+    registry.set(game.gameType, { ...game, optionsSchema, validateOptions });
+  }
+  
+  log('info', 'games.loaded', { file: filePath, gameTypes: registry.size });
+  return registry;
+}
+
+const games = loadGameRegistry(GAMES_FILE);
+
+/**
+ * Strip the compiled validator before sending a game to clients
+ */
+function toPublicGame(game) {
+  const { validateOptions, ...publicGame } = game;
+  return publicGame;
+}
+
+// ============================================================================
+// REAL-TIME EVENTS
+// ============================================================================
+
+const roomEvents = []; // Ring buffer of recent events (oldest first)
+const eventClients = new Set(); // { res, filters }
+
+// Change sequence shared by event IDs, room.changeSeq and since cursors.
+// Persistent drivers save it with the rooms, so sequence numbers are never
+// reused after a restart (even when the newest change was a removal).
+let lastChangeSeq = Array.from(rooms.values()).reduce(
+  (max, room) => Math.max(max, room.changeSeq || 0),
+  rooms.getMeta('lastChangeSeq') || 0
+);
+let lastChangeAt = Date.now();
+
+// Removed rooms, so since-cursors can report deletions and expirations
+const tombstones = new Map(); // roomId -> { roomId, changeSeq, public, reason, removedAt }
+// Cursors older than this cannot be served incrementally (tombstones were
+// pruned or lost in a restart) and get a full list instead
+let tombstoneFloor = lastChangeSeq;
+
+/**
+ * Check whether a room matches a feed's filters
+ */
+function roomMatchesFilters(room, filters) {
+  if (!room) return false;
+  if (!filters.includePrivate && room.public === false) return false;
+  if (filters.gameType !== 'all' && room.gameType !== filters.gameType) return false;
+  if (filters.status !== 'all' && room.status !== filters.status) return false;
+  if (filters.network !== 'all' && roomNetwork(room) !== filters.network) return false;
+  return true;
+}
+
+/**
+ * Check whether an event is relevant to a feed
+ * 
+ * An event is delivered when the room matched the filters before or after the
+ * change, so clients also learn about rooms that move out of their view.
+ */
+function eventMatchesFilters(event, filters) {
+  return roomMatchesFilters(event.room, filters) || roomMatchesFilters(event.previousRoom, filters);
+}
+
+/**
+ * Serialize an event in SSE wire format
+ */
+function formatEvent(event, fullAccess) {
+  const data = {
+    type: event.type,
+    roomId: event.roomId,
+    room: event.room ? toRoomView(event.room, fullAccess) : null,
+    timestamp: event.timestamp
+  };
+  return `id: ${event.id}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Record a room change and push it to connected feeds
+ * 
+ * Every room change goes through here: it assigns the next change sequence
+ * (stamped on the room as changeSeq), records a tombstone for removals and
+ * buffers the event for /events resume.
+ * 
+ * type: 'created' | 'updated' | 'expired' | 'deleted'
+ */
+function publishRoomEvent(type, room, previousRoom = null) {
+  const changeSeq = ++lastChangeSeq;
+  lastChangeAt = Date.now();
+  room.changeSeq = changeSeq;
+  rooms.setMeta('lastChangeSeq', changeSeq);
+  
+  if (type === 'expired' || type === 'deleted') {
+    tombstones.delete(room.roomId);
+    tombstones.set(room.roomId, {
+      roomId: room.roomId,
+      changeSeq,
+      public: room.public !== false,
+      network: roomNetwork(room),
+      reason: type,
+      removedAt: lastChangeAt
+    });
+    if (tombstones.size > MAX_TOMBSTONES) {
+      const [oldestId, oldest] = tombstones.entries().next().value;
+      tombstones.delete(oldestId);
+      tombstoneFloor = Math.max(tombstoneFloor, oldest.changeSeq);
+    }
+  } else if (type === 'created') {
+    tombstones.delete(room.roomId);
+  }
+  
+  const event = {
+    id: changeSeq,
+    type,
+    roomId: room.roomId,
+    room: toFullRoom(room),
+    previousRoom: previousRoom ? toFullRoom(previousRoom) : null,
+    timestamp: Date.now()
+  };
+  
+  roomEvents.push(event);
+  if (roomEvents.length > EVENT_BUFFER_SIZE) {
+    roomEvents.shift();
+  }
+  
+  for (const client of eventClients) {
+    if (eventMatchesFilters(event, client.filters)) {
+      client.res.write(formatEvent(event, client.fullAccess));
+    }
+  }
+}
+
+/**
+ * Close every open feed (shutdown and tests)
+ */
+function closeEventClients() {
+  for (const client of eventClients) {
+    client.res.end();
+  }
+  eventClients.clear();
+}
 
 // ============================================================================
 // VALIDATION & SECURITY
 // ============================================================================
 
+/**
+ * Room lifecycle: status -> statuses it may move to
+ * 
+ * waiting -> active once player 2 joins; finished and cancelled are final.
+ */
+const ROOM_STATUS_TRANSITIONS = {
+  waiting: ['active', 'cancelled'],
+  active: ['finished', 'cancelled'],
+  finished: [],
+  cancelled: []
+};
+const INITIAL_ROOM_STATUSES = ['waiting', 'active'];
+
+/**
+ * State channel lifecycle: stateChannelStatus -> statuses it may move to
+ * 
+ * Once funds are locked the channel can only end by settling; an active
+ * channel drops back to locked between games. settled and cancelled are final.
+ */
+const STATE_CHANNEL_TRANSITIONS = {
+  pending: ['locked', 'cancelled'],
+  locked: ['active', 'settling'],
+  active: ['locked', 'settling'],
+  settling: ['settled'],
+  settled: [],
+  cancelled: []
+};
+const INITIAL_STATE_CHANNEL_STATUSES = ['pending'];
+
+// Fields a room must have (after the update is applied) to be in a state
+const ROOM_STATUS_REQUIRED_FIELDS = {
+  active: ['player2WalletAddress', 'player2PeerId'],
+  finished: ['player2WalletAddress', 'player2PeerId']
+};
+const STATE_CHANNEL_REQUIRED_FIELDS = {
+  locked: ['stateChannelCoinId', 'totalLockedAmount'],
+  active: ['stateChannelCoinId', 'totalLockedAmount', 'player2WalletAddress'],
+  settling: ['stateChannelCoinId', 'totalLockedAmount'],
+  settled: ['stateChannelCoinId']
+};
+
+// Funded balances may only move while games are played or the channel settles
+const BALANCE_CHANGE_STATE_CHANNEL_STATUSES = ['active', 'settling'];
+
 /**
  * Validate incoming room announcement data
  */
@@ -270,8 +1023,8 @@ function validateAnnouncement(data) {
     errors.push('roomId contains invalid characters (alphanumeric, dash, underscore only)');
   }
   
-  // Validate gameType (can be null when status is 'waiting')
-  const validGameTypes = ['rockpaperscissors', 'calpoker', 'battleship', 'tictactoe'];
+  // Validate gameType against the game registry (can be null when status is 'waiting')
+  const validGameTypes = Array.from(games.keys());
   if (data.gameType !== null && data.gameType !== undefined) {
     if (typeof data.gameType !== 'string') {
       errors.push('Invalid gameType (must be string or null)');
@@ -281,6 +1034,13 @@ function validateAnnouncement(data) {
   }
   // gameType can be null when status is 'waiting' - this is valid
   
+  // Validate gameOptions shape (checked against the game's schema later)
+  if (data.gameOptions !== undefined && data.gameOptions !== null) {
+    if (typeof data.gameOptions !== 'object' || Array.isArray(data.gameOptions)) {
+      errors.push('Invalid gameOptions (must be an object or null)');
+    }
+  }
+  
   // Validate player1Name
   if (!data.player1Name || typeof data.player1Name !== 'string') {
     errors.push('Missing or invalid player1Name');
@@ -290,42 +1050,11 @@ function validateAnnouncement(data) {
     errors.push('player1Name cannot be empty');
   }
   
-  // Validate wallet address (Chia address format)
+  // Validate wallet address, puzzle hash, public keys and identity address
   if (!data.player1WalletAddress || typeof data.player1WalletAddress !== 'string') {
     errors.push('Missing or invalid player1WalletAddress');
-  } else if (!data.player1WalletAddress.startsWith('xch1') && !data.player1WalletAddress.startsWith('txch1')) {
-    errors.push('Invalid wallet address format (must start with xch1 or txch1)');
-  } else if (data.player1WalletAddress.length > 100) {
-    errors.push('Wallet address too long');
-  }
-  
-  // Validate wallet puzzle hash (optional but recommended)
-  if (data.player1WalletPuzzleHash !== undefined && data.player1WalletPuzzleHash !== null) {
-    if (typeof data.player1WalletPuzzleHash !== 'string') {
-      errors.push('Invalid player1WalletPuzzleHash (must be string or null)');
-    } else if (data.player1WalletPuzzleHash.length > 100) {
-      errors.push('player1WalletPuzzleHash too long');
-    }
-  }
-  
-  // Validate public keys (optional but recommended)
-  if (data.player1PublicKey !== undefined && data.player1PublicKey !== null) {
-    if (typeof data.player1PublicKey !== 'string' || data.player1PublicKey.length > 200) {
-      errors.push('Invalid player1PublicKey (must be string, max 200 chars)');
-    }
-  }
-  
-  if (data.player1IdentityPublicKey !== undefined && data.player1IdentityPublicKey !== null) {
-    if (typeof data.player1IdentityPublicKey !== 'string' || data.player1IdentityPublicKey.length > 200) {
-      errors.push('Invalid player1IdentityPublicKey (must be string, max 200 chars)');
-    }
-  }
-  
-  if (data.player1IdentityAddress !== undefined && data.player1IdentityAddress !== null) {
-    if (typeof data.player1IdentityAddress !== 'string' || data.player1IdentityAddress.length > 100) {
-      errors.push('Invalid player1IdentityAddress (must be string, max 100 chars)');
-    }
   }
+  validatePlayerKeys(data, 'player1', errors);
   
   // Validate peerId
   if (!data.player1PeerId || typeof data.player1PeerId !== 'string') {
@@ -352,13 +1081,7 @@ function validateAnnouncement(data) {
     }
   }
   
-  if (data.player2WalletAddress !== undefined && data.player2WalletAddress !== null) {
-    if (typeof data.player2WalletAddress !== 'string') {
-      errors.push('Invalid player2WalletAddress (must be string or null)');
-    } else if (!data.player2WalletAddress.startsWith('xch1') && !data.player2WalletAddress.startsWith('txch1')) {
-      errors.push('Invalid player2WalletAddress format (must start with xch1 or txch1)');
-    }
-  }
+  validatePlayerKeys(data, 'player2', errors);
   
   // Validate state channel coin ID (optional)
   if (data.stateChannelCoinId !== undefined && data.stateChannelCoinId !== null) {
@@ -367,9 +1090,16 @@ function validateAnnouncement(data) {
     }
   }
   
+  // Validate requested TTL (optional, seconds)
+  if (data.ttl !== undefined && data.ttl !== null) {
+    if (!Number.isInteger(data.ttl) || data.ttl < MIN_ROOM_TTL || data.ttl > MAX_ROOM_TTL) {
+      errors.push(`Invalid ttl (must be an integer between ${MIN_ROOM_TTL} and ${MAX_ROOM_TTL} seconds, or null)`);
+    }
+  }
+  
   // Validate state channel status (optional)
   if (data.stateChannelStatus !== undefined && data.stateChannelStatus !== null) {
-    const validStateChannelStatuses = ['pending', 'locked', 'active', 'settling', 'settled', 'cancelled'];
+    const validStateChannelStatuses = Object.keys(STATE_CHANNEL_TRANSITIONS);
     if (typeof data.stateChannelStatus !== 'string' || !validStateChannelStatuses.includes(data.stateChannelStatus)) {
       errors.push(`Invalid stateChannelStatus (must be one of: ${validStateChannelStatuses.join(', ')}, or null)`);
     }
@@ -435,7 +1165,7 @@ function validateAnnouncement(data) {
   }
   
   // Validate status
-  const validStatuses = ['waiting', 'active', 'finished', 'cancelled'];
+  const validStatuses = Object.keys(ROOM_STATUS_TRANSITIONS);
   if (data.status && !validStatuses.includes(data.status)) {
     errors.push(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
   }
@@ -445,226 +1175,3324 @@ function validateAnnouncement(data) {
     errors.push('Invalid public flag (must be boolean)');
   }
   
-  // Validate timestamp (prevent replay attacks)
-  if (data.timestamp) {
-    const timeDiff = Math.abs(Date.now() - data.timestamp);
-    if (timeDiff > 30000) { // 30 second tolerance
-      errors.push('Request timestamp too far from server time');
-    }
-  }
-  
-  // Validate nonce (prevent duplicate announcements)
-  if (data.nonce) {
-    if (usedNonces.has(data.nonce)) {
-      errors.push('Duplicate nonce (replay attack detected)');
-    } else if (usedNonces.size >= MAX_NONCES) {
-      // If nonce map is full, remove oldest entry before adding new one
-      const oldestNonce = usedNonces.values().next().value;
-      usedNonces.delete(oldestNonce);
-      usedNonces.add(data.nonce);
-    } else {
-      usedNonces.add(data.nonce);
-    }
-    // Cleanup nonce after 5 minutes
-    setTimeout(() => {
-      usedNonces.delete(data.nonce);
-    }, NONCE_CLEANUP_INTERVAL);
-  }
-  
   return errors;
 }
 
 /**
- * Sanitize search query to prevent injection
+ * Serialize a value as JSON with sorted object keys
+ * (the exact bytes clients sign and the tracker verifies)
  */
-function sanitizeSearch(query) {
-  if (!query || typeof query !== 'string') return '';
-  // Remove potentially dangerous characters, limit length
-  return query.substring(0, 100).replace(/[<>\"']/g, '');
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
 }
 
 /**
- * Validate and sanitize query parameters
+ * Decode a hex string (optional 0x prefix) to bytes, or null if malformed
  */
-function validateQueryParams(req) {
+function hexToBytes(hex) {
+  if (typeof hex !== 'string') return null;
+  const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+  if (clean.length === 0 || clean.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(clean)) {
+    return null;
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+// Chia addresses are bech32m (BIP-350) encodings of a 32-byte puzzle hash
+const BECH32M_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32M_CONST = 0x2bc830a3;
+const BECH32M_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const MAX_ADDRESS_LENGTH = 100;
+const WALLET_ADDRESS_PREFIXES = ['xch', 'txch'];
+const IDENTITY_ADDRESS_PREFIXES = ['xch', 'txch', 'did:chia:'];
+const PUZZLE_HASH_BYTES = 32;
+const BLS_PUBLIC_KEY_BYTES = 48; // compressed G1 point
+
+function bech32mPolymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= BECH32M_GENERATOR[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+function bech32mExpandPrefix(prefix) {
+  const codes = [...prefix].map(char => char.charCodeAt(0));
+  return [...codes.map(code => code >> 5), 0, ...codes.map(code => code & 31)];
+}
+
+/**
+ * Decode a bech32m Chia address
+ *
+ * Returns { prefix, puzzleHash } (puzzleHash as lowercase hex) or
+ * { error } describing why the address was rejected.
+ */
+function decodeChiaAddress(address, prefixes) {
+  if (typeof address !== 'string' || address.length > MAX_ADDRESS_LENGTH) {
+    return { error: `must be a string, max ${MAX_ADDRESS_LENGTH} chars` };
+  }
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    return { error: 'mixed case is not allowed' };
+  }
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    return { error: 'not a bech32m address' };
+  }
+  const prefix = lower.slice(0, separator);
+  if (!prefixes.includes(prefix)) {
+    return { error: `must start with ${prefixes.map(p => `${p}1`).join(' or ')}` };
+  }
+  
+  const words = [];
+  for (const char of lower.slice(separator + 1)) {
+    const word = BECH32M_CHARSET.indexOf(char);
+    if (word === -1) {
+      return { error: `invalid character '${char}'` };
+    }
+    words.push(word);
+  }
+  if (bech32mPolymod([...bech32mExpandPrefix(prefix), ...words]) !== BECH32M_CONST) {
+    return { error: 'checksum mismatch' };
+  }
+  
+  // Regroup the 5-bit data words (minus the 6-word checksum) into bytes
+  const bytes = [];
+  let accumulator = 0;
+  let bits = 0;
+  for (const word of words.slice(0, -6)) {
+    accumulator = ((accumulator << 5) | word) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || (accumulator & ((1 << bits) - 1)) !== 0) {
+    return { error: 'invalid padding' };
+  }
+  if (bytes.length !== PUZZLE_HASH_BYTES) {
+    return { error: `must encode a ${PUZZLE_HASH_BYTES}-byte puzzle hash` };
+  }
+  return { prefix, puzzleHash: Buffer.from(bytes).toString('hex') };
+}
+
+/**
+ * Check that a value is a hex-encoded 32-byte puzzle hash
+ */
+function isValidPuzzleHash(value) {
+  const bytes = hexToBytes(value);
+  return bytes !== null && bytes.length === PUZZLE_HASH_BYTES;
+}
+
+/**
+ * Check that a value is a hex-encoded compressed BLS G1 point (public key)
+ */
+function isValidPublicKey(value) {
+  const bytes = hexToBytes(value);
+  if (bytes === null || bytes.length !== BLS_PUBLIC_KEY_BYTES) {
+    return false;
+  }
+  try {
+    return !bls.G1.Point.fromHex(bytes.toString('hex')).is0();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate one player's address, puzzle hash and public key fields
+ *
+ * `player` is 'player1' or 'player2'. Wallet and identity addresses are
+ * decoded as bech32m; when both the wallet address and its puzzle hash are
+ * supplied, the decoded hash must match.
+ */
+function validatePlayerKeys(data, player, errors) {
+  const wallet = data[`${player}WalletAddress`];
+  const puzzleHash = data[`${player}WalletPuzzleHash`];
+  let decodedWallet = null;
+  
+  if (wallet !== undefined && wallet !== null) {
+    decodedWallet = decodeChiaAddress(wallet, WALLET_ADDRESS_PREFIXES);
+    if (decodedWallet.error) {
+      errors.push(`Invalid ${player} wallet address (${decodedWallet.error})`);
+    }
+  }
+  
+  if (puzzleHash !== undefined && puzzleHash !== null) {
+    if (!isValidPuzzleHash(puzzleHash)) {
+      errors.push(`Invalid ${player}WalletPuzzleHash (must be ${PUZZLE_HASH_BYTES}-byte hex, or null)`);
+    } else if (decodedWallet && !decodedWallet.error &&
+               hexToBytes(puzzleHash).toString('hex') !== decodedWallet.puzzleHash) {
+      errors.push(`${player}WalletPuzzleHash does not match ${player}WalletAddress`);
+    }
+  }
+  
+  for (const field of [`${player}PublicKey`, `${player}IdentityPublicKey`]) {
+    if (data[field] !== undefined && data[field] !== null && !isValidPublicKey(data[field])) {
+      errors.push(`Invalid ${field} (must be a ${BLS_PUBLIC_KEY_BYTES}-byte hex BLS G1 public key)`);
+    }
+  }
+  
+  const identityAddress = data[`${player}IdentityAddress`];
+  if (identityAddress !== undefined && identityAddress !== null) {
+    const decoded = decodeChiaAddress(identityAddress, IDENTITY_ADDRESS_PREFIXES);
+    if (decoded.error) {
+      errors.push(`Invalid ${player}IdentityAddress (${decoded.error})`);
+    }
+  }
+}
+
+// Networks by address prefix (did:chia: identity addresses name no network)
+const ADDRESS_NETWORKS = { xch: 'mainnet', txch: 'testnet' };
+const NETWORKS = ['mainnet', 'testnet'];
+const DEFAULT_NETWORK = 'mainnet';
+const NETWORK_ADDRESS_FIELDS = ['player1WalletAddress', 'player1IdentityAddress', 'player2WalletAddress', 'player2IdentityAddress'];
+
+/**
+ * Derive a room's network from its address fields
+ * 
+ * Returns { network, errors }: every address that names a network must name
+ * the same one. network is null when no address names one.
+ */
+function resolveNetwork(room) {
+  const errors = [];
+  let network = null;
+  let source = null;
+  for (const field of NETWORK_ADDRESS_FIELDS) {
+    if (!room[field]) continue;
+    const fieldNetwork = ADDRESS_NETWORKS[decodeChiaAddress(room[field], IDENTITY_ADDRESS_PREFIXES).prefix];
+    if (!fieldNetwork) continue;
+    if (!network) {
+      network = fieldNetwork;
+      source = field;
+    } else if (fieldNetwork !== network) {
+      errors.push(`${field} is a ${fieldNetwork} address but ${source} is a ${network} address`);
+    }
+  }
+  return { network, errors };
+}
+
+/**
+ * Network of a stored room (rooms persisted before networks existed are
+ * derived from their addresses)
+ */
+function roomNetwork(room) {
+  return room.network || resolveNetwork(room).network || DEFAULT_NETWORK;
+}
+
+/**
+ * Forget nonces whose timestamps can no longer pass the skew check (the
+ * check accepts a timestamp up to and including expiresAt)
+ */
+function pruneNonces(now = Date.now()) {
+  for (const [publicKey, nonces] of usedNonces.entries()) {
+    for (const [nonce, expiresAt] of nonces.entries()) {
+      if (now > expiresAt) {
+        nonces.delete(nonce);
+      }
+    }
+    if (nonces.size === 0) {
+      usedNonces.delete(publicKey);
+    }
+  }
+}
+
+/**
+ * Number of live nonces across all keys
+ */
+function countNonces() {
+  let count = 0;
+  for (const nonces of usedNonces.values()) count += nonces.size;
+  return count;
+}
+
+/**
+ * Mark a verified envelope's nonce as used by the key that signed it
+ * 
+ * Call only once every check of the request has passed and its change is
+ * about to be applied, so a rejected request does not burn its nonce. The
+ * nonce is kept until its timestamp falls out of MAX_TIMESTAMP_SKEW.
+ */
+function markNonceUsed(envelope, publicKey) {
+  if (!usedNonces.has(publicKey)) {
+    usedNonces.set(publicKey, new Map());
+  }
+  usedNonces.get(publicKey).set(envelope.nonce, envelope.timestamp + MAX_TIMESTAMP_SKEW);
+}
+
+/**
+ * Verify a signed envelope against a BLS public key
+ *
+ * The envelope is the request body itself: every field except `signature`
+ * (including `timestamp` and `nonce`) is serialized with canonicalJSON and
+ * signed with AugSchemeMPL, i.e. the message is publicKey || canonicalJSON.
+ * Room operations other than announce add `roomId` and `action` to the
+ * signed payload so a signature cannot be replayed against another endpoint.
+ * The nonce is only consumed once the signature checks out.
+ */
+function verifySignedEnvelope(data, publicKey) {
   const errors = [];
   
-  // Validate offset
-  if (req.query.offset !== undefined) {
-    const offset = parseInt(req.query.offset);
-    if (isNaN(offset) || offset < 0) {
-      errors.push('Invalid offset (must be non-negative integer)');
+  // Validate timestamp (prevent replay attacks)
+  if (typeof data.timestamp !== 'number' || !Number.isFinite(data.timestamp)) {
+    errors.push('Missing or invalid timestamp (milliseconds since epoch)');
+  } else if (Math.abs(Date.now() - data.timestamp) > MAX_TIMESTAMP_SKEW) {
+    errors.push('Request timestamp too far from server time');
+  }
+  
+  // Validate nonce (prevent duplicate announcements)
+  if (!data.nonce || typeof data.nonce !== 'string' || data.nonce.length > MAX_NONCE_LENGTH) {
+    errors.push(`Missing or invalid nonce (string, max ${MAX_NONCE_LENGTH} chars)`);
+  } else if (usedNonces.get(publicKey)?.has(data.nonce)) {
+    errors.push('Duplicate nonce (replay attack detected)');
+  } else if (usedNonces.get(publicKey)?.size >= MAX_NONCES_PER_KEY) {
+    // Live nonces are never evicted (that would reopen them for replay);
+    // only this key waits, other keys are unaffected
+    pruneNonces();
+    if (usedNonces.get(publicKey)?.size >= MAX_NONCES_PER_KEY) {
+      errors.push('Too many signed requests in flight for this key, try again shortly');
     }
   }
   
-  // Validate limit
-  if (req.query.limit !== undefined) {
-    const limit = parseInt(req.query.limit);
-    if (isNaN(limit) || limit < 1 || limit > 200) {
-      errors.push('Invalid limit (must be between 1 and 200)');
+  const signatureBytes = hexToBytes(data.signature);
+  if (!signatureBytes) {
+    errors.push('Missing or invalid signature (hex-encoded BLS signature)');
+  }
+  
+  const publicKeyBytes = hexToBytes(publicKey);
+  if (!publicKeyBytes) {
+    errors.push('Room owner public key is not valid hex');
+  }
+  
+  if (errors.length > 0) {
+    return errors;
+  }
+  
+  const { signature, ...payload } = data;
+  const message = Buffer.concat([publicKeyBytes, Buffer.from(canonicalJSON(payload), 'utf8')]);
+  let valid = false;
+  try {
+    valid = bls.longSignatures.verify(
+      signatureBytes,
+      bls.longSignatures.hash(message, SIGNATURE_DST),
+      publicKeyBytes
+    );
+  } catch {
+    // Malformed points are treated as a bad signature
+    valid = false;
+  }
+  
+  if (!valid) {
+    return ['Invalid signature'];
+  }
+  return [];
+}
+
+/**
+ * Validate lifecycle changes an announcement would make
+ * 
+ * `room` is the stored room (null on creation) and `next` the room as it
+ * would look after the announcement. Checks that room status and
+ * stateChannelStatus only move along the allowed transitions and that every
+ * field the target state requires is present.
+ */
+function validateTransitions(room, next) {
+  const errors = [];
+  const lifecycles = [
+    { field: 'status', transitions: ROOM_STATUS_TRANSITIONS, initial: INITIAL_ROOM_STATUSES, required: ROOM_STATUS_REQUIRED_FIELDS },
+    { field: 'stateChannelStatus', transitions: STATE_CHANNEL_TRANSITIONS, initial: INITIAL_STATE_CHANNEL_STATUSES, required: STATE_CHANNEL_REQUIRED_FIELDS }
+  ];
+  
+  for (const { field, transitions, initial, required } of lifecycles) {
+    const from = room ? room[field] || null : null;
+    const to = next[field] || null;
+    
+    if (from !== to) {
+      if (from === null && !initial.includes(to)) {
+        errors.push(`Illegal ${field} transition: rooms cannot start as '${to}' (allowed: ${initial.join(', ')})`);
+      } else if (from !== null && (to === null || !transitions[from].includes(to))) {
+        const allowed = transitions[from].length > 0 ? transitions[from].join(', ') : 'none, it is final';
+        errors.push(`Illegal ${field} transition: '${from}' -> '${to}' (allowed from '${from}': ${allowed})`);
+      }
+    }
+    
+    for (const requiredField of (to && required[to]) || []) {
+      if (next[requiredField] === undefined || next[requiredField] === null) {
+        errors.push(`${field} '${to}' requires ${requiredField}`);
+      }
     }
   }
   
-  // Validate minWager/maxWager
-  if (req.query.minWager !== undefined) {
-    const minWager = parseInt(req.query.minWager);
-    if (isNaN(minWager) || minWager < 0) {
-      errors.push('Invalid minWager (must be non-negative integer)');
+  // Balances may be funded (null -> amount) at any time, but once set they
+  // only change while the stored channel is active or settling
+  if (room && !BALANCE_CHANGE_STATE_CHANNEL_STATUSES.includes(room.stateChannelStatus)) {
+    for (const field of ['player1Balance', 'player2Balance']) {
+      const before = toMojos(room[field]);
+      const after = toMojos(next[field]);
+      if (before !== null && after !== before) {
+        errors.push(`${field} can only change while stateChannelStatus is ${BALANCE_CHANGE_STATE_CHANNEL_STATUSES.join(' or ')} (currently '${room.stateChannelStatus || 'none'}')`);
+      }
     }
   }
   
-  if (req.query.maxWager !== undefined) {
-    const maxWager = parseInt(req.query.maxWager);
-    if (isNaN(maxWager) || maxWager < 0) {
-      errors.push('Invalid maxWager (must be non-negative integer)');
+  return errors;
+}
+
+/**
+ * Parse a mojo amount the way validateAnnouncement does (null when unset)
+ */
+function toMojos(value) {
+  if (value === undefined || value === null) return null;
+  const amount = parseInt(value);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Validate that the state channel amounts of a room are consistent
+ * 
+ * - Balances need a locked total, and never exceed it
+ * - When both balances are known they add up to the locked total
+ * - The current wager does not exceed either known balance
+ */
+function validateBalances(next) {
+  const errors = [];
+  const total = toMojos(next.totalLockedAmount);
+  const player1Balance = toMojos(next.player1Balance);
+  const player2Balance = toMojos(next.player2Balance);
+  const wager = toMojos(next.wagerAmount) || 0;
+  
+  if (total === null) {
+    if (player1Balance !== null || player2Balance !== null) {
+      errors.push('player1Balance/player2Balance require totalLockedAmount');
+    }
+  } else if (player1Balance !== null && player2Balance !== null) {
+    if (player1Balance + player2Balance !== total) {
+      errors.push(`Balances do not add up: player1Balance (${player1Balance}) + player2Balance (${player2Balance}) must equal totalLockedAmount (${total})`);
+    }
+  } else {
+    for (const [field, balance] of [['player1Balance', player1Balance], ['player2Balance', player2Balance]]) {
+      if (balance !== null && balance > total) {
+        errors.push(`${field} (${balance}) exceeds totalLockedAmount (${total})`);
+      }
     }
   }
   
-  // Validate includePrivate (optional boolean flag)
-  if (req.query.includePrivate !== undefined) {
-    const includePrivate = req.query.includePrivate;
-    if (includePrivate !== 'true' && includePrivate !== 'false' && includePrivate !== '1' && includePrivate !== '0') {
-      errors.push('Invalid includePrivate (must be true/false, 1/0)');
+  for (const [field, balance] of [['player1Balance', player1Balance], ['player2Balance', player2Balance]]) {
+    if (balance !== null && wager > balance) {
+      errors.push(`wagerAmount (${wager}) exceeds ${field} (${balance})`);
     }
   }
   
   return errors;
 }
 
-// ============================================================================
-// ENDPOINTS
-// ============================================================================
+/**
+ * Remember each player's first balance, the amount they locked into the
+ * channel (balances are set once, then only change during play)
+ */
+function recordOpeningBalances(room) {
+  if (!room.openingBalances) {
+    room.openingBalances = { player1: null, player2: null };
+  }
+  for (const player of ['player1', 'player2']) {
+    const balance = room[`${player}Balance`];
+    if (room.openingBalances[player] === null && balance !== null && balance !== undefined) {
+      room.openingBalances[player] = Number(balance);
+    }
+  }
+}
 
 /**
- * GET /health - Health check
+ * Build a new room record from announcement fields
+ * 
+ * gameOptions and network must already be validated (validateGameSettings,
+ * resolveNetwork). The record still has to be stored and published.
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    tracker: TRACKER_ID,
-    rooms: rooms.size,
-    timestamp: Date.now()
-  });
+function createRoomRecord(data, gameOptions, network) {
+  const room = {
+    roomId: data.roomId,
+    gameType: data.gameType || null,
+    gameOptions, // Validated against the game's optionsSchema (defaults filled in)
+    status: data.status || 'waiting',
+    appBaseUrl: data.appBaseUrl,
+    public: data.public !== undefined ? data.public : true, // Default to true for backwards compatibility
+    network, // 'mainnet' or 'testnet', derived from the address prefixes
+    
+    // Player 1 (required)
+    player1Name: data.player1Name,
+    player1WalletAddress: data.player1WalletAddress,
+    player1WalletPuzzleHash: data.player1WalletPuzzleHash || null,
+    player1PublicKey: data.player1PublicKey || null,
+    player1IdentityPublicKey: data.player1IdentityPublicKey || null,
+    player1IdentityAddress: data.player1IdentityAddress || null,
+    player1PeerId: data.player1PeerId,
+    
+    // Player 2 (optional)
+    player2Name: data.player2Name || null,
+    player2WalletAddress: data.player2WalletAddress || null,
+    player2WalletPuzzleHash: data.player2WalletPuzzleHash || null,
+    player2PublicKey: data.player2PublicKey || null,
+    player2IdentityPublicKey: data.player2IdentityPublicKey || null,
+    player2IdentityAddress: data.player2IdentityAddress || null,
+    player2PeerId: data.player2PeerId || null,
+    player2JoinedAt: null, // Set when player 2 signed for the seat (join or quick-match)
+    
+    // State channel
+    stateChannelCoinId: data.stateChannelCoinId || null,
+    stateChannelStatus: data.stateChannelStatus || null, // 'pending', 'locked', 'active', 'settling', 'settled', 'cancelled'
+    totalLockedAmount: data.totalLockedAmount !== undefined ? data.totalLockedAmount : null, // Total locked in state channel (mojos)
+    stateChannelSpacescanUrl: data.stateChannelSpacescanUrl || null, // URL to view coin on Spacescan
+    player1Balance: data.player1Balance !== undefined ? data.player1Balance : null, // Player 1 balance in state channel (mojos)
+    player2Balance: data.player2Balance !== undefined ? data.player2Balance : null, // Player 2 balance in state channel (mojos)
+    
+    // Game
+    wagerAmount: data.wagerAmount !== undefined ? data.wagerAmount : 0, // Current game bet (0 when no active game)
+    activeGameId: data.activeGameId || null,
+    
+    // Lifecycle
+    ttl: data.ttl !== undefined ? data.ttl : null, // Requested TTL in seconds (null = default for the status)
+    transitionHistory: [], // { field, from, to, at } for status and stateChannelStatus
+    version: 1, // Bumped on every change (optimistic concurrency)
+    
+    // Timestamps
+    createdAt: data.createdAt || Date.now(),
+    updatedAt: Date.now()
+  };
+  if (room.public === false) {
+    room.inviteToken = generateInviteToken();
+  }
+  return room;
+}
+
+/**
+ * Fill a waiting room's second seat from player2 fields, activate the room
+ * and publish the change (used by joins and quick-match)
+ */
+function seatPlayer2(room, data) {
+  const previousRoom = { ...room };
+  room.player2Name = data.player2Name;
+  room.player2WalletAddress = data.player2WalletAddress;
+  room.player2WalletPuzzleHash = data.player2WalletPuzzleHash || null;
+  room.player2PublicKey = data.player2PublicKey || null;
+  room.player2IdentityPublicKey = data.player2IdentityPublicKey;
+  room.player2IdentityAddress = data.player2IdentityAddress || null;
+  room.player2PeerId = data.player2PeerId;
+  room.player2JoinedAt = Date.now();
+  room.status = 'active';
+  room.version = (room.version || 0) + 1;
+  room.updatedAt = Date.now();
+  recordTransitions(room, previousRoom);
+  rooms.set(room.roomId, room);
+  publishRoomEvent('updated', room, previousRoom);
+}
+
+/**
+ * Append lifecycle transitions between two versions of a room to its history
+ * 
+ * Also stamps `fundedAt` when the state channel moves from pending to
+ * locked, the only way a room can come to hold funds (see isRoomProtected).
+ */
+function recordTransitions(room, previousRoom) {
+  if (!room.transitionHistory) {
+    room.transitionHistory = [];
+  }
+  for (const field of ['status', 'stateChannelStatus']) {
+    const from = previousRoom ? previousRoom[field] || null : null;
+    const to = room[field] || null;
+    if (from !== to) {
+      room.transitionHistory.push({ field, from, to, at: Date.now() });
+    }
+  }
+  if (previousRoom && previousRoom.stateChannelStatus === 'pending' && room.stateChannelStatus === 'locked' && !room.fundedAt) {
+    room.fundedAt = Date.now();
+  }
+  if (room.transitionHistory.length > MAX_TRANSITION_HISTORY) {
+    room.transitionHistory.splice(0, room.transitionHistory.length - MAX_TRANSITION_HISTORY);
+  }
+}
+
+/**
+ * Validate a projected room against its game registry entry
+ * 
+ * Returns { errors, gameOptions }: gameOptions is the validated options
+ * object with schema defaults filled in (null when the room has no game
+ * or its game is not in the registry).
+ * A non-zero wager must lie within the game's minWager/maxWager.
+ */
+function validateGameSettings(next) {
+  const errors = [];
+  if (!next.gameType) {
+    if (next.gameOptions !== undefined && next.gameOptions !== null) {
+      errors.push('gameOptions require a gameType');
+    }
+    return { errors, gameOptions: null };
+  }
+  
+  // A stored room can outlive its game being removed from the registry
+  const game = games.get(next.gameType.toLowerCase());
+  if (!game) {
+    errors.push(`Unknown gameType '${next.gameType}' (must be one of: ${Array.from(games.keys()).join(', ')})`);
+    return { errors, gameOptions: null };
+  }
+  const gameOptions = structuredClone(next.gameOptions || {});
+  if (!game.validateOptions(gameOptions)) {
+    for (const error of game.validateOptions.errors) {
+      const field = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : null;
+      errors.push(`Invalid gameOptions${field ? `.${field}` : ''} for ${game.gameType}: ${error.message}`);
+    }
+  }
+  
+  const wager = parseInt(next.wagerAmount) || 0;
+  if (wager > 0 && (wager < game.minWager || wager > game.maxWager)) {
+    errors.push(`wagerAmount for ${game.gameType} must be between ${game.minWager} and ${game.maxWager} mojos`);
+  }
+  return { errors, gameOptions };
+}
+
+/**
+ * Project the room an announcement would produce, mirroring the update rules
+ * of POST /announce (only the fields lifecycle, balance and network checks
+ * look at)
+ */
+function projectAnnouncement(room, data) {
+  if (!room) {
+    return { ...data, status: data.status || 'waiting', stateChannelStatus: data.stateChannelStatus || null };
+  }
+  const next = {
+    ...room,
+    status: data.status || room.status,
+    gameType: data.gameType !== undefined ? data.gameType : room.gameType
+  };
+  // Options belong to a game: switching games without new options starts from defaults
+  next.gameOptions = data.gameOptions !== undefined ? data.gameOptions
+    : next.gameType === room.gameType ? room.gameOptions : null;
+  for (const field of ['stateChannelStatus', 'stateChannelCoinId', 'totalLockedAmount', 'player1Balance', 'player2Balance', 'wagerAmount', 'player1WalletAddress', 'player1IdentityAddress', 'player2WalletAddress', 'player2IdentityAddress', 'player2PeerId']) {
+    if (data[field] !== undefined) next[field] = data[field];
+  }
+  return next;
+}
+
+// Who sits in player 2's seat: fixed once the seat is taken, so the owner
+// cannot swap in another player (peerId may still change on reconnect)
+const PLAYER2_SEAT_FIELDS = [
+  'player2Name', 'player2WalletAddress', 'player2WalletPuzzleHash',
+  'player2PublicKey', 'player2IdentityPublicKey', 'player2IdentityAddress'
+];
+
+/**
+ * Player 2 seat fields an announcement would change on a room whose second
+ * seat is taken (re-announcing the stored values is fine)
+ */
+function changedPlayer2SeatFields(room, data) {
+  if (!room.player2WalletAddress && !room.player2IdentityPublicKey) return [];
+  return PLAYER2_SEAT_FIELDS.filter(field =>
+    data[field] !== undefined && (data[field] || null) !== (room[field] || null)
+  );
+}
+
+/**
+ * Validate a player 2 join request
+ */
+function validateJoin(data) {
+  const errors = [];
+  
+  // Validate player2Name
+  if (!data.player2Name || typeof data.player2Name !== 'string') {
+    errors.push('Missing or invalid player2Name');
+  } else if (data.player2Name.length > MAX_NAME_LENGTH) {
+    errors.push(`player2Name too long (max ${MAX_NAME_LENGTH} characters)`);
+  } else if (data.player2Name.trim().length === 0) {
+    errors.push('player2Name cannot be empty');
+  }
+  
+  // Validate wallet address, puzzle hash, public keys and identity address
+  if (!data.player2WalletAddress || typeof data.player2WalletAddress !== 'string') {
+    errors.push('Missing or invalid player2WalletAddress');
+  }
+  
+  // Identity key is required: it signs the join request
+  if (!data.player2IdentityPublicKey || typeof data.player2IdentityPublicKey !== 'string') {
+    errors.push('Missing or invalid player2IdentityPublicKey');
+  }
+  validatePlayerKeys(data, 'player2', errors);
+  
+  // Validate peerId
+  if (!data.player2PeerId || typeof data.player2PeerId !== 'string') {
+    errors.push('Missing or invalid player2PeerId');
+  } else if (data.player2PeerId.length > 200) {
+    errors.push('player2PeerId too long (max 200 characters)');
+  }
+  
+  if (data.inviteToken !== undefined && typeof data.inviteToken !== 'string') {
+    errors.push('Invalid inviteToken (must be string)');
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a roomId taken from the URL path
+ */
+function isValidRoomId(roomId) {
+  return typeof roomId === 'string' &&
+         roomId.length <= MAX_ROOM_ID_LENGTH &&
+         /^[a-zA-Z0-9_-]+$/.test(roomId);
+}
+
+/**
+ * Read the room version an update was based on
+ * 
+ * Clients send it as an If-Match header ("3", W/"3" or 3) or a `version`
+ * body field. Returns { version } (null when neither was sent) or { error }.
+ */
+function readExpectedVersion(req) {
+  let headerVersion = null;
+  const header = req.get('If-Match');
+  if (header !== undefined) {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+    if (!match) {
+      return { error: 'Invalid If-Match (must be a room version, e.g. "3")' };
+    }
+    headerVersion = parseInt(match[1]);
+  }
+  
+  const bodyVersion = req.body && req.body.version !== undefined ? req.body.version : null;
+  if (bodyVersion !== null && (!Number.isSafeInteger(bodyVersion) || bodyVersion < 1)) {
+    return { error: 'Invalid version (must be a positive integer)' };
+  }
+  if (headerVersion !== null && bodyVersion !== null && headerVersion !== bodyVersion) {
+    return { error: 'If-Match and version do not agree' };
+  }
+  return { version: headerVersion !== null ? headerVersion : bodyVersion };
+}
+
+// Status -> TTL (seconds) when the owner did not request one
+const ROOM_STATUS_TTLS = {
+  waiting: ROOM_TTL_WAITING,
+  active: ROOM_TTL_ACTIVE,
+  finished: ROOM_TTL_FINISHED,
+  cancelled: ROOM_TTL_FINISHED
+};
+
+// State channels holding funds: expiring these would strand the players
+const PROTECTED_STATE_CHANNEL_STATUSES = ['locked', 'active'];
+
+/**
+ * Whether a room is a funded game whose channel still holds funds (never
+ * evicted, and kept for PROTECTED_ROOM_TTL instead of its normal TTL)
+ * 
+ * Both seats must be filled and the channel must have reached locked
+ * through pending (fundedAt), so a lobby announcing a made-up locked
+ * channel is treated like any other room. The room status does not
+ * matter: a game marked finished or cancelled before its channel settles
+ * stays protected until the channel leaves locked/active.
+ */
+function isRoomProtected(room) {
+  return Boolean(room.fundedAt) &&
+         Boolean(room.player2WalletAddress && room.player2PeerId) &&
+         PROTECTED_STATE_CHANNEL_STATUSES.includes(room.stateChannelStatus);
+}
+
+/**
+ * Seconds a room may go without updates: the owner's requested ttl, or the
+ * TTL for its status (a settling channel counts as active)
+ */
+function roomTtl(room) {
+  if (Number.isInteger(room.ttl)) return room.ttl;
+  if (room.stateChannelStatus === 'settling') return ROOM_TTL_ACTIVE;
+  return ROOM_STATUS_TTLS[room.status] || ROOM_TTL_WAITING;
+}
+
+/**
+ * Check whether locking another state channel would exceed the owner's
+ * protected room caps
+ * 
+ * Counts the funded channels (locked or active since fundedAt) held by the
+ * owner key and locked from the IP. Only funded rooms can become
+ * protected, so capping funding caps protected rooms too. Returns an error
+ * message, or null when the room may be funded.
+ */
+function protectedRoomQuotaError(room, ip) {
+  let byKey = 0;
+  let byIp = 0;
+  for (const other of rooms.values()) {
+    if (other.roomId === room.roomId || !other.fundedAt || !PROTECTED_STATE_CHANNEL_STATUSES.includes(other.stateChannelStatus)) continue;
+    if (other.player1IdentityPublicKey === room.player1IdentityPublicKey) byKey++;
+    if (other.fundedByIp === ip) byIp++;
+  }
+  if (byKey >= MAX_PROTECTED_ROOMS_PER_KEY) {
+    return `Too many funded rooms for this identity key (max ${MAX_PROTECTED_ROOMS_PER_KEY}); settle one first`;
+  }
+  if (byIp >= MAX_PROTECTED_ROOMS_PER_IP) {
+    return `Too many funded rooms from this IP (max ${MAX_PROTECTED_ROOMS_PER_IP}); settle one first`;
+  }
+  return null;
+}
+
+/**
+ * Seconds until a room expires without updates: PROTECTED_ROOM_TTL for
+ * protected rooms, else roomTtl
+ */
+function roomExpiresIn(room) {
+  return isRoomProtected(room) ? PROTECTED_ROOM_TTL : roomTtl(room);
+}
+
+/**
+ * When a room expires (ms), or null when it has no timestamps
+ */
+function roomExpiresAt(room) {
+  const lastActivity = room.updatedAt || room.createdAt;
+  return lastActivity ? lastActivity + roomExpiresIn(room) * 1000 : null;
+}
+
+/**
+ * Check whether a room has gone without updates for longer than its TTL
+ */
+function isRoomExpired(room, now = Date.now()) {
+  const expiresAt = roomExpiresAt(room);
+  return expiresAt !== null && now > expiresAt;
+}
+
+// Protected rooms already reported as overdue (cleared once they update)
+const overdueProtectedRooms = new Set();
+
+/**
+ * Remove every expired room and announce it on /events
+ * 
+ * Protected rooms past their normal TTL are kept and logged once, so an
+ * operator can see channels whose owners stopped announcing; past
+ * PROTECTED_ROOM_TTL they are archived and removed with a warning.
+ */
+function expireRooms(now = Date.now()) {
+  let expiredCount = 0;
+  for (const [roomId, room] of rooms.entries()) {
+    const lastActivity = room.updatedAt || room.createdAt;
+    if (isRoomExpired(room, now)) {
+      const isProtected = isRoomProtected(room);
+      log(isProtected ? 'warn' : 'info', 'room.expired', {
+        roomId,
+        status: room.status,
+        stateChannelStatus: room.stateChannelStatus || null,
+        protected: isProtected,
+        lastActivity,
+        idleSeconds: Math.round((now - lastActivity) / 1000)
+      });
+      removeRoom(room, 'expired');
+      expiredCount++;
+    } else if (isRoomProtected(room) && lastActivity && now - lastActivity > roomTtl(room) * 1000) {
+      if (!overdueProtectedRooms.has(roomId)) {
+        overdueProtectedRooms.add(roomId);
+        log('warn', 'room.overdue_kept', { roomId, stateChannelStatus: room.stateChannelStatus, lastActivity });
+      }
+    } else {
+      overdueProtectedRooms.delete(roomId);
+    }
+  }
+  for (const roomId of overdueProtectedRooms) {
+    if (!rooms.has(roomId)) overdueProtectedRooms.delete(roomId);
+  }
+  return expiredCount;
+}
+
+// Eviction order when the room limit is reached: stale lobbies go first,
+// then rooms that are over; protected rooms (funded channels still holding
+// funds, even in finished or cancelled rooms) are never evicted
+const EVICTION_PRIORITY = {
+  waiting: 0,
+  finished: 1,
+  cancelled: 1,
+  active: 2
+};
+
+/**
+ * Pick the room to evict for a new one, or null when every room is protected
+ * 
+ * Lower EVICTION_PRIORITY first, then the room idle the longest. The
+ * status only orders candidates; a protected room is skipped whatever it is.
+ */
+function findEvictableRoom() {
+  let candidate = null;
+  let candidateRank = null;
+  for (const room of rooms.values()) {
+    if (isRoomProtected(room)) continue;
+    const rank = [EVICTION_PRIORITY[room.status], room.updatedAt || room.createdAt || 0];
+    if (!candidate || rank[0] < candidateRank[0] || (rank[0] === candidateRank[0] && rank[1] < candidateRank[1])) {
+      candidate = room;
+      candidateRank = rank;
+    }
+  }
+  return candidate;
+}
+
+/**
+ * Evict rooms until there is space for `incoming` more, following
+ * findEvictableRoom. Returns false when protected rooms fill the tracker.
+ */
+function makeRoomSpace(incoming = 1) {
+  while (rooms.size + incoming > MAX_ROOMS) {
+    const room = findEvictableRoom();
+    if (!room) return false;
+    log('warn', 'room.evicted', { roomId: room.roomId, status: room.status, lastActivity: room.updatedAt || room.createdAt, maxRooms: MAX_ROOMS });
+    removeRoom(room, 'evicted');
+  }
+  return true;
+}
+
+/**
+ * Constant-time comparison of an invite token against the room's token
+ */
+function inviteTokenMatches(room, token) {
+  if (!room.inviteToken || typeof token !== 'string') return false;
+  const expected = Buffer.from(room.inviteToken);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check for an `Authorization: Bearer <token>` header carrying this token
+ */
+function bearerTokenMatches(req, token) {
+  const header = req.get('Authorization');
+  if (!token || !header || !header.startsWith('Bearer ')) return false;
+  // Hash both sides so the comparison is constant-time regardless of length
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(header.slice('Bearer '.length)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check for the admin token (always false when ADMIN_TOKEN is not configured)
+ */
+function isAdminRequest(req) {
+  return bearerTokenMatches(req, ADMIN_TOKEN);
+}
+
+/**
+ * Check for an authorised frontend (or admin) token: these callers get full
+ * room details in listings and feeds
+ */
+function isTrustedFrontend(req) {
+  return isAdminRequest(req) || FRONTEND_TOKENS.some(token => bearerTokenMatches(req, token));
+}
+
+/**
+ * Verify participant proof on a room read
+ * 
+ * The X-Identity-Key, X-Timestamp, X-Nonce and X-Signature headers carry a
+ * signed envelope over { action: 'read', roomId, timestamp, nonce } from
+ * either player's identity key. Returns null when no proof was sent,
+ * otherwise the verification errors (empty when valid).
+ */
+function verifyParticipantProof(req, room) {
+  const publicKey = req.get('X-Identity-Key');
+  if (!publicKey && !req.get('X-Signature')) return null;
+  if (!publicKey || (publicKey !== room.player1IdentityPublicKey && publicKey !== room.player2IdentityPublicKey)) {
+    return ['X-Identity-Key is not a participant of this room'];
+  }
+  const envelope = {
+    action: 'read',
+    roomId: room.roomId,
+    timestamp: Number(req.get('X-Timestamp')),
+    nonce: req.get('X-Nonce'),
+    signature: req.get('X-Signature')
+  };
+  const errors = verifySignedEnvelope(envelope, publicKey);
+  if (errors.length === 0) markNonceUsed(envelope, publicKey);
+  return errors;
+}
+
+/**
+ * Verify identity proof on a history read
+ * 
+ * Same headers as verifyParticipantProof, signed over
+ * { action: 'history', timestamp, nonce }. Returns null when no proof was
+ * sent, otherwise { publicKey, errors } (errors empty when valid).
+ */
+function verifyHistoryProof(req) {
+  const publicKey = req.get('X-Identity-Key');
+  if (!publicKey && !req.get('X-Signature')) return null;
+  const envelope = {
+    action: 'history',
+    timestamp: Number(req.get('X-Timestamp')),
+    nonce: req.get('X-Nonce'),
+    signature: req.get('X-Signature')
+  };
+  const errors = verifySignedEnvelope(envelope, publicKey);
+  if (errors.length === 0) markNonceUsed(envelope, publicKey);
+  return { publicKey, errors };
+}
+
+/**
+ * Reject includePrivate from non-admin callers
+ * 
+ * Returns true (after sending the 401) when the request must stop.
+ */
+function rejectUnauthorizedPrivateListing(req, res) {
+  const includePrivate = req.query.includePrivate === 'true' || req.query.includePrivate === '1';
+  if (!includePrivate || isAdminRequest(req)) return false;
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({
+    'failure reason': 'includePrivate requires an admin token (Authorization: Bearer <token>)'
+  });
+  return true;
+}
+
+/**
+ * Require the admin token (/admin routes)
+ */
+function requireAdmin(req, res, next) {
+  if (isAdminRequest(req)) return next();
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({
+    'failure reason': 'Admin token required (Authorization: Bearer <token>)'
+  });
+}
+
+/**
+ * First banned wallet or identity address among the given ones, or null
+ */
+function findBannedAddress(addresses) {
+  return addresses.find(address => typeof address === 'string' && bannedAddresses.has(address.toLowerCase())) || null;
+}
+
+/**
+ * Load permanent IP blocks and banned addresses
+ * 
+ * From BLOCKED_IPS / BANNED_ADDRESSES (comma-separated) and BLOCKLIST_FILE,
+ * a JSON file { "ips": [...], "addresses": [...] }. An "ips" entry is either
+ * an IP (permanent) or { ip, until, reason } (temporary, until a timestamp
+ * in ms). Like the game registry, a malformed blocklist aborts startup
+ * rather than leaving the tracker open to the addresses it was meant to stop.
+ */
+function loadBlocklist() {
+  const split = value => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  let ips = split(process.env.BLOCKED_IPS);
+  let addresses = split(process.env.BANNED_ADDRESSES);
+  
+  if (BLOCKLIST_FILE) {
+    const config = JSON.parse(fs.readFileSync(BLOCKLIST_FILE, 'utf8'));
+    if (!config || (config.ips !== undefined && !Array.isArray(config.ips)) ||
+        (config.addresses !== undefined && !Array.isArray(config.addresses))) {
+      throw new Error(`Invalid blocklist ${BLOCKLIST_FILE}: expected { "ips": [...], "addresses": [...] }`);
+    }
+    ips = ips.concat(config.ips || []);
+    addresses = addresses.concat(config.addresses || []);
+  }
+  
+  const now = Date.now();
+  for (const entry of ips) {
+    const ip = typeof entry === 'string' ? entry : entry && entry.ip;
+    if (!net.isIP(ip || '')) {
+      throw new Error(`Invalid blocklist entry ${JSON.stringify(entry)}: not an IP address`);
+    }
+    if (typeof entry === 'string') {
+      BLOCKED_IPS.add(ip);
+    } else if (!Number.isSafeInteger(entry.until)) {
+      throw new Error(`Invalid blocklist entry ${JSON.stringify(entry)}: until must be a timestamp (ms)`);
+    } else if (entry.until > now) {
+      blockIP(ip, entry.reason || 'Blocked by administrator', entry.until - now);
+    }
+  }
+  for (const address of addresses) {
+    const decoded = decodeChiaAddress(address, IDENTITY_ADDRESS_PREFIXES);
+    if (decoded.error) {
+      throw new Error(`Invalid blocklist address ${JSON.stringify(address)}: ${decoded.error}`);
+    }
+    bannedAddresses.add(address.toLowerCase());
+  }
+  
+  if (ips.length > 0 || addresses.length > 0) {
+    log('info', 'blocklist.loaded', { file: BLOCKLIST_FILE, permanentIps: BLOCKED_IPS.size, temporaryIps: blockedIPs.size, addresses: bannedAddresses.size });
+  }
+}
+
+/**
+ * Sanitize search query to prevent injection
+ */
+function sanitizeSearch(query) {
+  if (!query || typeof query !== 'string') return '';
+  // Remove potentially dangerous characters, limit length
+  return query.substring(0, 100).replace(/[<>\"']/g, '');
+}
+
+/**
+ * Sort orders for room listings
+ * 
+ * Each order compares a full key ending in roomId, so the order is total and
+ * cursors can resume exactly where the previous page stopped.
+ */
+const SORT_ORDERS = {
+  newest: { direction: -1, key: (r) => [r.createdAt || 0, r.roomId] },
+  oldest: { direction: 1, key: (r) => [r.createdAt || 0, r.roomId] },
+  wager_high: { direction: -1, key: (r) => [toMojos(r.wagerAmount) || 0, r.createdAt || 0, r.roomId] },
+  wager_low: { direction: 1, key: (r) => [toMojos(r.wagerAmount) || 0, r.createdAt || 0, r.roomId] }
+};
+
+/**
+ * Resolve a sort query parameter (unknown values fall back to newest)
+ */
+function normalizeSort(sort) {
+  return Object.prototype.hasOwnProperty.call(SORT_ORDERS, sort) ? sort : 'newest';
+}
+
+/**
+ * Compare two sort keys in the given direction
+ */
+function compareSortKeys(a, b, direction) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -direction;
+    if (a[i] > b[i]) return direction;
+  }
+  return 0;
+}
+
+/**
+ * Encode an opaque pagination cursor pointing after the given room
+ */
+function encodeCursor(sort, room) {
+  return Buffer.from(JSON.stringify({ sort, key: SORT_ORDERS[sort].key(room) })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor, or null if it is malformed
+ */
+function decodeCursor(token) {
+  if (typeof token !== 'string' || token.length > 500) return null;
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!cursor || !Object.prototype.hasOwnProperty.call(SORT_ORDERS, cursor.sort) || !Array.isArray(cursor.key)) return null;
+    const expected = SORT_ORDERS[cursor.sort].key({ roomId: '' });
+    if (cursor.key.length !== expected.length ||
+        cursor.key.some((value, i) => typeof value !== typeof expected[i])) {
+      return null;
+    }
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+// History is newest first; archiveId breaks ties between games ended together
+const HISTORY_ORDER = { direction: -1, key: (r) => [r.endedAt, r.archiveId] };
+
+/**
+ * Encode an opaque history cursor pointing after the given archived room
+ */
+function encodeHistoryCursor(record) {
+  return Buffer.from(JSON.stringify({ key: HISTORY_ORDER.key(record) })).toString('base64url');
+}
+
+/**
+ * Decode a history cursor, or null if it is malformed
+ */
+function decodeHistoryCursor(token) {
+  if (typeof token !== 'string' || token.length > 500) return null;
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!cursor || !Array.isArray(cursor.key) || cursor.key.length !== 2 ||
+        typeof cursor.key[0] !== 'number' || typeof cursor.key[1] !== 'string') {
+      return null;
+    }
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate GET /history query parameters
+ */
+function validateHistoryQuery(query) {
+  const errors = [];
+  
+  for (const field of ['wallet', 'identity']) {
+    if (query[field] !== undefined && (typeof query[field] !== 'string' || query[field].length === 0 || query[field].length > MAX_ADDRESS_LENGTH)) {
+      errors.push(`Invalid ${field} (must be an address, max ${MAX_ADDRESS_LENGTH} chars)`);
+    }
+  }
+  
+  if (query.gameType !== undefined && query.gameType !== 'all' && !games.has(query.gameType)) {
+    errors.push(`Invalid gameType (must be one of: ${Array.from(games.keys()).join(', ')}, all)`);
+  }
+  
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined && !/^\d+$/.test(query[field])) {
+      errors.push(`Invalid ${field} (must be a timestamp in milliseconds)`);
+    }
+  }
+  if (query.from !== undefined && query.to !== undefined && parseInt(query.from) > parseInt(query.to)) {
+    errors.push('from must not be after to');
+  }
+  
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > 200) {
+      errors.push('Invalid limit (must be between 1 and 200)');
+    }
+  }
+  
+  if (query.cursor !== undefined && !decodeHistoryCursor(query.cursor)) {
+    errors.push('Invalid cursor');
+  }
+  
+  if (query.network !== undefined && !NETWORKS.includes(query.network) && query.network !== 'all') {
+    errors.push(`Invalid network (must be one of: ${NETWORKS.join(', ')}, all)`);
+  }
+  
+  if (query.includePrivate !== undefined && !['true', 'false', '1', '0'].includes(query.includePrivate)) {
+    errors.push('Invalid includePrivate (must be true/false, 1/0)');
+  }
+  
+  return errors;
+}
+
+// Leaderboard orders (descending; ties fall back to the player address)
+const LEADERBOARD_SORTS = {
+  wins: (s) => [s.wins, s.netMojos, s.played],
+  net: (s) => [s.netMojos, s.wins, s.played],
+  played: (s) => [s.played, s.wins, s.netMojos]
+};
+
+/**
+ * Validate GET /leaderboard query parameters
+ */
+function validateLeaderboardQuery(query) {
+  const errors = [];
+  
+  if (query.gameType !== undefined && query.gameType !== 'all' && !games.has(query.gameType)) {
+    errors.push(`Invalid gameType (must be one of: ${Array.from(games.keys()).join(', ')}, all)`);
+  }
+  
+  if (query.sort !== undefined && !Object.prototype.hasOwnProperty.call(LEADERBOARD_SORTS, query.sort)) {
+    errors.push(`Invalid sort (must be one of: ${Object.keys(LEADERBOARD_SORTS).join(', ')})`);
+  }
+  
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > 200) {
+      errors.push('Invalid limit (must be between 1 and 200)');
+    }
+  }
+  
+  if (query.network !== undefined && !NETWORKS.includes(query.network)) {
+    errors.push(`Invalid network (must be one of: ${NETWORKS.join(', ')})`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate and sanitize query parameters
+ */
+function validateQueryParams(req) {
+  const errors = [];
+  
+  // Validate offset
+  if (req.query.offset !== undefined) {
+    const offset = parseInt(req.query.offset);
+    if (isNaN(offset) || offset < 0) {
+      errors.push('Invalid offset (must be non-negative integer)');
+    }
+  }
+  
+  // Validate limit
+  if (req.query.limit !== undefined) {
+    const limit = parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > 200) {
+      errors.push('Invalid limit (must be between 1 and 200)');
+    }
+  }
+  
+  // Validate minWager/maxWager
+  if (req.query.minWager !== undefined) {
+    const minWager = parseInt(req.query.minWager);
+    if (isNaN(minWager) || minWager < 0) {
+      errors.push('Invalid minWager (must be non-negative integer)');
+    }
+  }
+  
+  if (req.query.maxWager !== undefined) {
+    const maxWager = parseInt(req.query.maxWager);
+    if (isNaN(maxWager) || maxWager < 0) {
+      errors.push('Invalid maxWager (must be non-negative integer)');
+    }
+  }
+  
+  // Validate cursor (must come from a listing with the same sort)
+  if (req.query.cursor !== undefined) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      errors.push('Invalid cursor');
+    } else if (cursor.sort !== normalizeSort(req.query.sort)) {
+      errors.push(`Cursor was issued for sort '${cursor.sort}', not '${normalizeSort(req.query.sort)}'`);
+    }
+    if (req.query.offset !== undefined) {
+      errors.push('Use either offset or cursor, not both');
+    }
+  }
+  
+  // Validate since (change sequence cursor)
+  if (req.query.since !== undefined && !/^\d+$/.test(req.query.since)) {
+    errors.push('Invalid since (must be non-negative integer)');
+  }
+  
+  // Validate network
+  if (req.query.network !== undefined && !NETWORKS.includes(req.query.network) && req.query.network !== 'all') {
+    errors.push(`Invalid network (must be one of: ${NETWORKS.join(', ')}, all)`);
+  }
+  
+  // Validate includePrivate (optional boolean flag)
+  if (req.query.includePrivate !== undefined) {
+    const includePrivate = req.query.includePrivate;
+    if (includePrivate !== 'true' && includePrivate !== 'false' && includePrivate !== '1' && includePrivate !== '0') {
+      errors.push('Invalid includePrivate (must be true/false, 1/0)');
+    }
+  }
+  
+  return errors;
+}
+
+// ============================================================================
+// MATCHMAKING
+// ============================================================================
+
+// Match tickets: ticketId -> { ticketId, criteria, player, status, roomId,
+// role, createdAt, expiresAt, waiters }. Tickets are bearer secrets and live
+// in memory only; a restart drops the queue.
+const matchTickets = new Map();
+
+/**
+ * Validate a quick-match request
+ * 
+ * The player's own fields use the `player` prefix (playerName,
+ * playerWalletAddress, ...) because the seat is only known once matched.
+ */
+function validateMatchRequest(data) {
+  const errors = [];
+  
+  if (!data.gameType || typeof data.gameType !== 'string' || !games.has(data.gameType)) {
+    errors.push(`Missing or invalid gameType (must be one of: ${Array.from(games.keys()).join(', ')})`);
+  }
+  
+  if (data.network !== undefined && !NETWORKS.includes(data.network)) {
+    errors.push(`Invalid network (must be one of: ${NETWORKS.join(', ')})`);
+  }
+  
+  for (const field of ['minWager', 'maxWager']) {
+    if (data[field] !== undefined && (!Number.isInteger(data[field]) || data[field] < 0)) {
+      errors.push(`Invalid ${field} (must be non-negative integer)`);
+    }
+  }
+  if (Number.isInteger(data.minWager) && Number.isInteger(data.maxWager) && data.minWager > data.maxWager) {
+    errors.push('minWager must not exceed maxWager');
+  }
+  
+  // The matched room is checked like an announced one: the registry's wager
+  // limits (for a non-zero wager) and default options
+  const game = typeof data.gameType === 'string' ? games.get(data.gameType) : undefined;
+  if (game) {
+    for (const field of ['minWager', 'maxWager']) {
+      if (Number.isInteger(data[field]) && data[field] > 0 && (data[field] < game.minWager || data[field] > game.maxWager)) {
+        errors.push(`${field} for ${game.gameType} must be between ${game.minWager} and ${game.maxWager} mojos`);
+      }
+    }
+    errors.push(...validateGameSettings({ gameType: data.gameType }).errors);
+  }
+  
+  if (!data.appBaseUrl || typeof data.appBaseUrl !== 'string') {
+    errors.push('Missing or invalid appBaseUrl');
+  } else {
+    try {
+      new URL(data.appBaseUrl);
+    } catch {
+      errors.push('appBaseUrl must be a valid URL');
+    }
+  }
+  
+  if (!data.playerName || typeof data.playerName !== 'string' || data.playerName.trim().length === 0) {
+    errors.push('Missing or invalid playerName');
+  } else if (data.playerName.length > MAX_NAME_LENGTH) {
+    errors.push(`playerName too long (max ${MAX_NAME_LENGTH} characters)`);
+  }
+  
+  if (!data.playerWalletAddress || typeof data.playerWalletAddress !== 'string') {
+    errors.push('Missing or invalid playerWalletAddress');
+  }
+  
+  // Identity key is required: it signs the request and owns a created room
+  if (!data.playerIdentityPublicKey || typeof data.playerIdentityPublicKey !== 'string') {
+    errors.push('Missing or invalid playerIdentityPublicKey');
+  }
+  validatePlayerKeys(data, 'player', errors);
+  
+  if (!data.playerPeerId || typeof data.playerPeerId !== 'string') {
+    errors.push('Missing or invalid playerPeerId');
+  } else if (data.playerPeerId.length > 200) {
+    errors.push('playerPeerId too long (max 200 characters)');
+  }
+  
+  // Addresses must be on the requested network
+  const network = data.network || DEFAULT_NETWORK;
+  for (const field of ['playerWalletAddress', 'playerIdentityAddress']) {
+    if (typeof data[field] !== 'string') continue;
+    const decoded = decodeChiaAddress(data[field], IDENTITY_ADDRESS_PREFIXES);
+    const fieldNetwork = decoded.error ? null : ADDRESS_NETWORKS[decoded.prefix];
+    if (fieldNetwork && fieldNetwork !== network) {
+      errors.push(`${field} is a ${fieldNetwork} address but the match is for ${network}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * A player's fields for one seat of a room ('player1' or 'player2')
+ */
+function matchSeatFields(player, seat) {
+  return {
+    [`${seat}Name`]: player.name,
+    [`${seat}WalletAddress`]: player.walletAddress,
+    [`${seat}WalletPuzzleHash`]: player.walletPuzzleHash,
+    [`${seat}PublicKey`]: player.publicKey,
+    [`${seat}IdentityPublicKey`]: player.identityPublicKey,
+    [`${seat}IdentityAddress`]: player.identityAddress,
+    [`${seat}PeerId`]: player.peerId
+  };
+}
+
+/**
+ * Oldest public waiting room a ticket can join, or null
+ */
+function findMatchingRoom(ticket) {
+  const { criteria, player } = ticket;
+  let match = null;
+  for (const room of rooms.values()) {
+    if (room.status !== 'waiting' || room.public === false || room.player2PeerId || room.player2WalletAddress) continue;
+    if (isRoomExpired(room)) continue;
+    if (room.gameType !== criteria.gameType || roomNetwork(room) !== criteria.network) continue;
+    if (room.appBaseUrl !== criteria.appBaseUrl || room.player1IdentityPublicKey === player.identityPublicKey) continue;
+    const wager = parseInt(room.wagerAmount) || 0;
+    if (wager < criteria.minWager || wager > criteria.maxWager) continue;
+    if (!match || room.createdAt < match.createdAt) match = room;
+  }
+  return match;
+}
+
+/**
+ * Longest-queued ticket compatible with the given one, or null
+ */
+function findMatchingTicket(ticket) {
+  const { criteria, player } = ticket;
+  for (const queued of matchTickets.values()) {
+    if (queued.status !== 'queued' || queued.expiresAt <= Date.now()) continue;
+    if (queued.player.identityPublicKey === player.identityPublicKey) continue;
+    const other = queued.criteria;
+    if (other.gameType !== criteria.gameType || other.network !== criteria.network || other.appBaseUrl !== criteria.appBaseUrl) continue;
+    if (Math.max(other.minWager, criteria.minWager) > Math.min(other.maxWager, criteria.maxWager)) continue;
+    return queued;
+  }
+  return null;
+}
+
+/**
+ * Mark a ticket matched and wake its long-polls
+ */
+function resolveTicket(ticket, room, role) {
+  ticket.status = 'matched';
+  ticket.roomId = room.roomId;
+  ticket.role = role;
+  ticket.expiresAt = Date.now() + MATCH_TICKET_TTL * 1000; // Time to collect the match
+  for (const wake of ticket.waiters) wake();
+}
+
+/**
+ * Seat a ticket's player in a waiting room as player 2
+ */
+function joinMatchedRoom(ticket, room) {
+  seatPlayer2(room, matchSeatFields(ticket.player, 'player2'));
+  log('info', 'match.joined', { roomId: room.roomId, ticket: ticket.ticketId.slice(0, 8) });
+  return room;
+}
+
+/**
+ * Create an active room for two queued players
+ * 
+ * The longer-queued player becomes player 1 (and owns the room); the wager
+ * is the smallest amount both players accept. Returns { room, errors }:
+ * errors when the game registry rejects the room, room null without errors
+ * when the room limit leaves no space.
+ */
+function createMatchedRoom(queued, ticket) {
+  const wagerAmount = Math.max(queued.criteria.minWager, ticket.criteria.minWager);
+  const data = {
+    roomId: `match-${crypto.randomBytes(8).toString('hex')}`,
+    gameType: queued.criteria.gameType,
+    status: 'active',
+    appBaseUrl: queued.criteria.appBaseUrl,
+    public: true,
+    wagerAmount,
+    ...matchSeatFields(queued.player, 'player1'),
+    ...matchSeatFields(ticket.player, 'player2')
+  };
+  const { errors, gameOptions } = validateGameSettings(data);
+  if (errors.length > 0) return { room: null, errors };
+  if (!makeRoomSpace()) return { room: null, errors: [] };
+  const room = createRoomRecord(data, gameOptions, queued.criteria.network);
+  room.player2JoinedAt = room.createdAt; // Both players signed their match requests
+  recordTransitions(room, null);
+  rooms.set(room.roomId, room);
+  publishRoomEvent('created', room);
+  log('info', 'match.created', { roomId: room.roomId, tickets: [queued.ticketId.slice(0, 8), ticket.ticketId.slice(0, 8)] });
+  return { room, errors: [] };
+}
+
+/**
+ * Try to match a queued ticket against waiting rooms
+ * 
+ * Queued players are re-checked on every poll, so lobbies announced after
+ * they queued are found too.
+ */
+function retryMatch(ticket) {
+  if (ticket.status !== 'queued') return;
+  const room = findMatchingRoom(ticket);
+  if (room) resolveTicket(ticket, joinMatchedRoom(ticket, room), 'player2');
+}
+
+/**
+ * Drop expired tickets (queued players who stopped polling, old matches)
+ */
+function expireMatchTickets(now = Date.now()) {
+  for (const [ticketId, ticket] of matchTickets.entries()) {
+    if (ticket.expiresAt <= now) {
+      for (const wake of ticket.waiters) wake();
+      matchTickets.delete(ticketId);
+    }
+  }
+}
+
+/**
+ * Wait until a ticket is matched, the deadline passes or the client leaves
+ */
+async function waitForMatch(ticket, deadline, res) {
+  while (ticket.status === 'queued' && Date.now() < deadline && matchTickets.has(ticket.ticketId)) {
+    const closed = await new Promise(resolve => {
+      const wake = (isClosed = false) => {
+        clearTimeout(timer);
+        ticket.waiters.delete(wake);
+        res.off('close', onClose);
+        resolve(isClosed);
+      };
+      const onClose = () => wake(true);
+      const timer = setTimeout(wake, Math.min(deadline - Date.now(), MATCH_POLL_INTERVAL * 1000));
+      ticket.waiters.add(wake);
+      res.on('close', onClose);
+    });
+    if (closed) return;
+    retryMatch(ticket);
+  }
+}
+
+/**
+ * Public state of a ticket for its holder
+ */
+function formatTicket(ticket) {
+  const response = {
+    'tracker id': TRACKER_ID,
+    'ticket': ticket.ticketId,
+    'status': ticket.status,
+    'expires at': ticket.expiresAt
+  };
+  if (ticket.status === 'matched') {
+    const room = rooms.get(ticket.roomId);
+    response['role'] = ticket.role;
+    response['room'] = room ? toFullRoom(room) : null;
+  } else {
+    response['poll interval'] = MATCH_POLL_INTERVAL;
+  }
+  return response;
+}
+
+// ============================================================================
+// SIGNALING
+// ============================================================================
+
+// roomId -> { nextSeq, messages: [{ seq, from, to, type, payload, at }], waiters }
+// Memory only: peers reconnect through fresh offers after a restart.
+const signalMailboxes = new Map();
+
+/**
+ * Get (or create) a room's mailbox
+ */
+function getSignalMailbox(roomId) {
+  let mailbox = signalMailboxes.get(roomId);
+  if (!mailbox) {
+    mailbox = { nextSeq: 1, messages: [], waiters: new Set() };
+    signalMailboxes.set(roomId, mailbox);
+  }
+  return mailbox;
+}
+
+/**
+ * Drop a room's mailbox and release its long-polls
+ */
+function closeSignalMailbox(roomId) {
+  const mailbox = signalMailboxes.get(roomId);
+  if (!mailbox) return;
+  signalMailboxes.delete(roomId);
+  for (const wake of mailbox.waiters) wake();
+}
+
+/**
+ * The seat ('player1' or 'player2') an identity key holds in a room, or null
+ */
+function roomSeat(room, publicKey) {
+  if (!publicKey) return null;
+  if (publicKey === room.player1IdentityPublicKey) return 'player1';
+  if (publicKey === room.player2IdentityPublicKey) return 'player2';
+  return null;
+}
+
+/**
+ * Validate a signaling message body
+ */
+function validateSignal(data) {
+  const errors = [];
+  
+  if (!data.to || typeof data.to !== 'string' || data.to.length > 200) {
+    errors.push('Missing or invalid to (must be the other player\'s peer ID)');
+  }
+  
+  if (!SIGNAL_TYPES.includes(data.type)) {
+    errors.push(`Invalid type (must be one of: ${SIGNAL_TYPES.join(', ')})`);
+  }
+  
+  if (data.payload === undefined) {
+    errors.push('Missing payload');
+  } else if (Buffer.byteLength(JSON.stringify(data.payload)) > MAX_SIGNAL_SIZE) {
+    errors.push(`payload too large (max ${MAX_SIGNAL_SIZE} bytes of JSON)`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Append a message to a room's mailbox and wake the recipient's long-polls
+ */
+function postSignal(roomId, message) {
+  const mailbox = getSignalMailbox(roomId);
+  const stored = { seq: mailbox.nextSeq++, ...message, at: Date.now() };
+  mailbox.messages.push(stored);
+  if (mailbox.messages.length > MAX_SIGNALS_PER_ROOM) {
+    mailbox.messages.splice(0, mailbox.messages.length - MAX_SIGNALS_PER_ROOM);
+  }
+  for (const wake of mailbox.waiters) wake();
+  return stored;
+}
+
+/**
+ * Messages addressed to a peer after a sequence number
+ */
+function pendingSignals(roomId, peerId, after) {
+  const mailbox = signalMailboxes.get(roomId);
+  if (!mailbox) return [];
+  return mailbox.messages.filter(message => message.seq > after && message.to === peerId);
+}
+
+/**
+ * Wait until a message arrives, the deadline passes, the mailbox closes or
+ * the client leaves
+ */
+function waitForSignal(roomId, deadline, res) {
+  const mailbox = getSignalMailbox(roomId);
+  return new Promise(resolve => {
+    const wake = () => {
+      clearTimeout(timer);
+      mailbox.waiters.delete(wake);
+      res.off('close', wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, deadline - Date.now());
+    mailbox.waiters.add(wake);
+    res.on('close', wake);
+  });
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+// Counters since startup; gauges are computed when /metrics is scraped
+const metrics = {
+  httpRequests: new Map(), // 'method route status' -> { method, route, status, count, sum, buckets }
+  rateLimitRejections: { requests: 0, announces: 0, heartbeats: 0, signals: 0 },
+  blockedRequests: 0,
+  ipBlocks: { temporary: 0, permanent: 0 },
+  roomsRemoved: { expired: 0, evicted: 0, deleted: 0, removed: 0 }
+};
+const METRIC_METHODS = ['GET', 'POST', 'DELETE', 'OPTIONS', 'HEAD'];
+
+/**
+ * Count a finished request and its latency
+ * 
+ * Routes are labelled by their pattern (/rooms/:roomId, not the room ID) and
+ * unknown methods are folded together, so label values stay bounded.
+ */
+function recordHttpRequest(req, status, seconds) {
+  const method = METRIC_METHODS.includes(req.method) ? req.method : 'OTHER';
+  const route = req.route ? req.baseUrl + req.route.path : 'other';
+  const key = `${method} ${route} ${status}`;
+  let series = metrics.httpRequests.get(key);
+  if (!series) {
+    series = { method, route, status, count: 0, sum: 0, buckets: HTTP_DURATION_BUCKETS.map(() => 0) };
+    metrics.httpRequests.set(key, series);
+  }
+  series.count++;
+  series.sum += seconds;
+  HTTP_DURATION_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) series.buckets[i]++;
+  });
+}
+
+/**
+ * Prometheus label set, e.g. {status="waiting",game_type="tictactoe"}
+ */
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format (0.0.4)
+ */
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value, suffix = ''] of samples) {
+      lines.push(`${name}${suffix}${formatMetricLabels(labels)} ${value}`);
+    }
+  };
+  
+  const httpSeries = Array.from(metrics.httpRequests.values());
+  metric('tracker_http_requests_total', 'counter', 'HTTP requests by method, route and status.',
+    httpSeries.map(({ method, route, status, count }) => [{ method, route, status }, count]));
+  metric('tracker_http_request_duration_seconds', 'histogram', 'HTTP request latency by method, route and status.',
+    httpSeries.flatMap(({ method, route, status, count, sum, buckets }) => [
+      ...HTTP_DURATION_BUCKETS.map((bound, i) => [{ method, route, status, le: bound }, buckets[i], '_bucket']),
+      [{ method, route, status, le: '+Inf' }, count, '_bucket'],
+      [{ method, route, status }, sum, '_sum'],
+      [{ method, route, status }, count, '_count']
+    ]));
+  
+  metric('tracker_rate_limit_rejections_total', 'counter', 'Requests refused with 429, by rate limit budget.',
+    Object.entries(metrics.rateLimitRejections).map(([budget, count]) => [{ budget }, count]));
+  metric('tracker_blocked_requests_total', 'counter', 'Requests refused with 403 because the IP is blocked.',
+    [[{}, metrics.blockedRequests]]);
+  metric('tracker_ip_blocks_total', 'counter', 'IP blocks applied (automatic and admin), by type.',
+    Object.entries(metrics.ipBlocks).map(([type, count]) => [{ type }, count]));
+  const now = Date.now();
+  const temporaryBlocks = Array.from(blockedIPs.values()).filter(block => now < block.blockedUntil).length;
+  metric('tracker_blocked_ips', 'gauge', 'Currently blocked IPs, by type.',
+    [[{ type: 'temporary' }, temporaryBlocks], [{ type: 'permanent' }, BLOCKED_IPS.size]]);
+  metric('tracker_banned_addresses', 'gauge', 'Wallet and identity addresses banned from rooms.',
+    [[{}, bannedAddresses.size]]);
+  
+  const roomCounts = new Map();
+  let lockedMojos = 0;
+  let roomCount = 0;
+  for (const room of rooms.values()) {
+    if (isRoomExpired(room, now)) continue;
+    roomCount++;
+    const labels = {
+      status: room.status || 'unknown',
+      game_type: room.gameType || 'unknown',
+      state_channel_status: room.stateChannelStatus || 'none'
+    };
+    const key = JSON.stringify(labels);
+    roomCounts.set(key, { labels, count: (roomCounts.get(key) ? roomCounts.get(key).count : 0) + 1 });
+    if (PROTECTED_STATE_CHANNEL_STATUSES.includes(room.stateChannelStatus)) {
+      lockedMojos += toMojos(room.totalLockedAmount) || 0;
+    }
+  }
+  metric('tracker_rooms', 'gauge', 'Rooms by status, game type and state channel status.',
+    Array.from(roomCounts.values()).map(({ labels, count }) => [labels, count]));
+  metric('tracker_rooms_max', 'gauge', 'Room limit (MAX_ROOMS).', [[{}, MAX_ROOMS]]);
+  metric('tracker_rooms_usage_ratio', 'gauge', 'Rooms as a fraction of MAX_ROOMS.', [[{}, roomCount / MAX_ROOMS]]);
+  metric('tracker_locked_mojos', 'gauge', 'Mojos in state channels that are locked or active, whatever the room status.',
+    [[{}, lockedMojos]]);
+  metric('tracker_rooms_removed_total', 'counter', 'Rooms removed, by reason (expired, evicted for MAX_ROOMS, deleted by the owner, removed by an admin).',
+    Object.entries(metrics.roomsRemoved).map(([reason, count]) => [{ reason }, count]));
+  
+  metric('tracker_used_nonces', 'gauge', 'Nonces remembered for replay protection.', [[{}, countNonces()]]);
+  metric('tracker_used_nonces_per_key_max', 'gauge', 'Live nonce limit per signing key.', [[{}, MAX_NONCES_PER_KEY]]);
+  metric('tracker_match_tickets', 'gauge', 'Quick-match tickets (queued and matched).', [[{}, matchTickets.size]]);
+  metric('tracker_event_clients', 'gauge', 'Connected /events streams.', [[{}, eventClients.size]]);
+  metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [[{}, process.memoryUsage().rss]]);
+  metric('process_start_time_seconds', 'gauge', 'Start time of the process since the Unix epoch in seconds.',
+    [[{}, Math.floor(Date.now() / 1000 - process.uptime())]]);
+  
+  return `${lines.join('\n')}\n`;
+}
+
+// ============================================================================
+// ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /health - Health check
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    tracker: TRACKER_ID,
+    rooms: rooms.size,
+    storage: rooms.driver,
+    timestamp: Date.now()
+  });
+});
+
+/**
+ * GET /metrics - Prometheus metrics
+ * 
+ * Requires `Authorization: Bearer <METRICS_TOKEN>` (or the admin token) when
+ * METRICS_TOKEN is set.
+ */
+app.get('/metrics', (req, res) => {
+  try {
+    if (METRICS_TOKEN && !bearerTokenMatches(req, METRICS_TOKEN) && !isAdminRequest(req)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        'failure reason': 'Metrics token required (Authorization: Bearer <token>)'
+      });
+    }
+    
+    const body = renderMetrics();
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(body);
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /metrics', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /announce - List rooms
+ * 
+ * Query parameters (all optional):
+ * - gameType: Filter by game type (e.g., 'rockpaperscissors', 'calpoker')
+ * - status: Filter by status ('waiting', 'active', 'all')
+ * - search: Text search in roomId, player names (case-insensitive)
+ * - minWager: Minimum wager amount (mojos)
+ * - maxWager: Maximum wager amount (mojos)
+ * - sort: 'newest', 'oldest', 'wager_high', 'wager_low'
+ * - cursor: Opaque token from `next cursor` of the previous page (stable
+ *   while rooms are added, updated or expire between requests)
+ * - offset: Pagination offset (legacy, use cursor)
+ * - limit: Pagination limit (max 200)
+ * - includePrivate: Include private rooms in results (default: false, admin token required)
+ * - since: Only return changes after this change sequence (see below)
+ * 
+ * Every response carries `seq` (the current change sequence), an ETag and
+ * Last-Modified; conditional requests get 304 Not Modified when nothing
+ * changed. With `since`, `rooms` holds only rooms changed after that sequence
+ * (not paginated) and `removed` lists room IDs that were deleted, expired or
+ * no longer match the filters. If the cursor is too old to answer
+ * incrementally, the full list is returned with `reset: true`.
+ */
+app.get('/announce', rateLimit, (req, res) => {
+  try {
+    // Validate query parameters
+    const queryErrors = validateQueryParams(req);
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': queryErrors.join('; ')
+      });
+    }
+    if (rejectUnauthorizedPrivateListing(req, res)) return;
+    
+    // Clean expired rooms
+    const now = Date.now();
+    expireRooms(now);
+    
+    // Get and sanitize query parameters
+    const gameType = req.query.gameType || 'all';
+    const status = req.query.status || 'all';
+    const network = req.query.network || DEFAULT_NETWORK;
+    const search = sanitizeSearch(req.query.search);
+    const minWager = parseInt(req.query.minWager) || 0;
+    const maxWager = parseInt(req.query.maxWager) || Infinity;
+    const sort = normalizeSort(req.query.sort);
+    const cursor = req.query.cursor !== undefined ? decodeCursor(req.query.cursor) : null;
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 200);
+    const includePrivate = req.query.includePrivate === 'true' || req.query.includePrivate === '1';
+    const since = req.query.since !== undefined ? parseInt(req.query.since) : null;
+    const fullAccess = isTrustedFrontend(req);
+    
+    // Conditional GET: the change sequence covers every room mutation
+    // (the room view depends on the caller's token)
+    res.vary('Authorization');
+    res.set('ETag', `"${BOOT_ID}-${lastChangeSeq}"`);
+    res.set('Last-Modified', new Date(lastChangeAt).toUTCString());
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    // Start with all non-expired rooms
+    let roomList = Array.from(rooms.values());
+    
+    // Filter by public/private (exclude private rooms by default)
+    if (!includePrivate) {
+      roomList = roomList.filter(r => r.public !== false);
+    }
+    
+    // Filter by game type
+    if (gameType && gameType !== 'all') {
+      roomList = roomList.filter(r => r.gameType === gameType);
+    }
+    
+    // Filter by status (cancelled rooms only when asked for by name, so a
+    // cancelled lobby leaves the listing right away instead of at expiry)
+    if (status && status !== 'all') {
+      roomList = roomList.filter(r => r.status === status);
+    } else {
+      roomList = roomList.filter(r => r.status !== 'cancelled');
+    }
+    
+    // Filter by network (mainnet unless asked otherwise)
+    if (network !== 'all') {
+      roomList = roomList.filter(r => roomNetwork(r) === network);
+    }
+    
+    // Filter by wager
+    roomList = roomList.filter(r => {
+      const wager = r.wagerAmount || 0;
+      return wager >= minWager && wager <= maxWager;
+    });
+    
+    // Search
+    if (search) {
+      const searchLower = search.toLowerCase();
+      roomList = roomList.filter(r => 
+        (r.roomId && r.roomId.toLowerCase().includes(searchLower)) ||
+        (r.player1Name && r.player1Name.toLowerCase().includes(searchLower)) ||
+        (r.player2Name && r.player2Name && r.player2Name.toLowerCase().includes(searchLower)) ||
+        (r.player1?.name && r.player1.name.toLowerCase().includes(searchLower)) ||
+        (r.player2?.name && r.player2.name && r.player2.name.toLowerCase().includes(searchLower))
+      );
+    }
+    
+    // Sort
+    const order = SORT_ORDERS[sort];
+    roomList.sort((a, b) => compareSortKeys(order.key(a), order.key(b), order.direction));
+    
+    // Incremental response
+    if (since !== null && since >= tombstoneFloor && since <= lastChangeSeq) {
+      const isVisible = (r) => (includePrivate || r.public !== false) &&
+        (network === 'all' || roomNetwork(r) === network);
+      const changedRooms = roomList.filter(r => r.changeSeq > since);
+      const matchingIds = new Set(roomList.map(r => r.roomId));
+      const removed = [];
+      for (const tombstone of tombstones.values()) {
+        if (tombstone.changeSeq > since && (includePrivate || tombstone.public) &&
+            (network === 'all' || tombstone.network === network)) {
+          removed.push(tombstone.roomId);
+        }
+      }
+      for (const room of rooms.values()) {
+        if (room.changeSeq > since && isVisible(room) && !matchingIds.has(room.roomId)) {
+          removed.push(room.roomId);
+        }
+      }
+      
+      return res.json({
+        'tracker id': TRACKER_ID,
+        'interval': ANNOUNCE_INTERVAL,
+        'min interval': MIN_ANNOUNCE_INTERVAL,
+        'complete': changedRooms.length,
+        'incomplete': 0,
+        'seq': lastChangeSeq,
+        'since': since,
+        'total': changedRooms.length,
+        'rooms': changedRooms.map(room => toRoomView(room, fullAccess)),
+        'removed': removed
+      });
+    }
+    
+    // Paginate (cursor: everything sorting after the cursor key)
+    const total = roomList.length;
+    const remaining = cursor
+      ? roomList.filter(r => compareSortKeys(order.key(r), cursor.key, order.direction) > 0)
+      : roomList.slice(offset);
+    const page = remaining.slice(0, limit);
+    const nextCursor = remaining.length > limit ? encodeCursor(sort, page[page.length - 1]) : null;
+    const paginatedRooms = page.map(room => toRoomView(room, fullAccess));
+    
+    // Response
+    res.json({
+      'tracker id': TRACKER_ID,
+      'interval': ANNOUNCE_INTERVAL,
+      'min interval': MIN_ANNOUNCE_INTERVAL,
+      'complete': paginatedRooms.length,
+      'incomplete': 0,
+      'seq': lastChangeSeq,
+      ...(since !== null ? { 'reset': true } : {}),
+      'total': total,
+      ...(cursor ? { 'cursor': req.query.cursor } : { 'offset': offset }),
+      'limit': limit,
+      'next cursor': nextCursor,
+      'rooms': paginatedRooms
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /announce', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /announce - Announce a room
+ */
+app.post('/announce', rateLimit, (req, res) => {
+  try {
+    const data = req.body;
+    
+    // Validate
+    const errors = validateAnnouncement(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        'failure reason': errors.join('; ')
+      });
+    }
+    
+    // Verify ownership: the room is bound to the identity key it was created with
+    const existingRoom = rooms.get(data.roomId);
+    const bannedAddress = findBannedAddress([
+      data.player1WalletAddress, data.player1IdentityAddress,
+      data.player2WalletAddress, data.player2IdentityAddress,
+      existingRoom && existingRoom.player1WalletAddress, existingRoom && existingRoom.player1IdentityAddress
+    ]);
+    if (bannedAddress) {
+      return res.status(403).json({
+        'failure reason': `Address ${bannedAddress} is banned from this tracker`
+      });
+    }
+    const ownerPublicKey = existingRoom ? existingRoom.player1IdentityPublicKey : data.player1IdentityPublicKey;
+    if (!ownerPublicKey) {
+      return res.status(400).json({
+        'failure reason': 'Missing player1IdentityPublicKey (required to create a room)'
+      });
+    }
+    if (existingRoom && data.player1IdentityPublicKey && data.player1IdentityPublicKey !== existingRoom.player1IdentityPublicKey) {
+      return res.status(403).json({
+        'failure reason': 'player1IdentityPublicKey cannot be changed after room creation'
+      });
+    }
+    const changedSeatFields = existingRoom ? changedPlayer2SeatFields(existingRoom, data) : [];
+    if (changedSeatFields.length > 0) {
+      return res.status(403).json({
+        'failure reason': `${changedSeatFields.join(', ')} cannot be changed once player 2 has taken the seat`
+      });
+    }
+    
+    const authErrors = verifySignedEnvelope(data, ownerPublicKey);
+    if (authErrors.length > 0) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized announce: ${authErrors.join('; ')}`
+      });
+    }
+    
+    // gameType is matched case-insensitively but stored as the registry key,
+    // so filters, history, the leaderboard and quick-match find the room
+    if (typeof data.gameType === 'string') {
+      data.gameType = data.gameType.toLowerCase();
+    }
+    
+    // Optimistic concurrency: an update based on a stale version gets the
+    // current room back so the client can merge instead of clobbering
+    const { version: expectedVersion, error: versionError } = readExpectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({
+        'failure reason': versionError
+      });
+    }
+    if (expectedVersion !== null && !existingRoom) {
+      return res.status(409).json({
+        'failure reason': `Room ${data.roomId} no longer exists (expected version ${expectedVersion})`,
+        'room': null
+      });
+    }
+    if (expectedVersion !== null && expectedVersion !== (existingRoom.version || 0)) {
+      return res.status(409).json({
+        'failure reason': `Room has changed (current version ${existingRoom.version || 0}, expected ${expectedVersion})`,
+        'room': toFullRoom(existingRoom)
+      });
+    }
+    
+    // Enforce balance conservation and lifecycle (legal transitions and
+    // required fields per state)
+    const nextRoom = projectAnnouncement(existingRoom, data);
+    const balanceErrors = validateBalances(nextRoom);
+    if (balanceErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': balanceErrors.join('; ')
+      });
+    }
+    
+    // Game options and wager limits from the game registry
+    const { errors: gameErrors, gameOptions } = validateGameSettings(nextRoom);
+    if (gameErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': gameErrors.join('; ')
+      });
+    }
+    
+    const transitionErrors = validateTransitions(existingRoom, nextRoom);
+    if (transitionErrors.length > 0) {
+      return res.status(existingRoom ? 409 : 400).json({
+        'failure reason': transitionErrors.join('; ')
+      });
+    }
+    
+    // All addresses must be on one network, which never changes
+    const { network, errors: networkErrors } = resolveNetwork(nextRoom);
+    if (existingRoom && network !== roomNetwork(existingRoom)) {
+      networkErrors.push(`Room is on ${roomNetwork(existingRoom)}; its network cannot change`);
+    }
+    if (networkErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': networkErrors.join('; ')
+      });
+    }
+    
+    // Cap the funded channels (and so the protected rooms) per owner and IP
+    const isFunding = existingRoom && existingRoom.stateChannelStatus === 'pending' && nextRoom.stateChannelStatus === 'locked';
+    if (isFunding) {
+      const quotaError = protectedRoomQuotaError(existingRoom, getClientIP(req));
+      if (quotaError) {
+        log('warn', 'room.funding_refused', { ...requestContext(req), roomId: data.roomId });
+        return res.status(429).json({
+          'failure reason': quotaError
+        });
+      }
+    }
+    
+    // Enforce room limit (new rooms only; never evicts protected rooms)
+    if (!existingRoom && !makeRoomSpace()) {
+      log('warn', 'room.refused', { ...requestContext(req), roomId: data.roomId, rooms: rooms.size });
+      res.set('Retry-After', String(MIN_ANNOUNCE_INTERVAL));
+      return res.status(503).json({
+        'failure reason': `Tracker is full (${MAX_ROOMS} rooms, all holding funded channels). Try again later.`
+      });
+    }
+    
+    // Every check passed: the request can no longer be replayed
+    markNonceUsed(data, ownerPublicKey);
+    
+    // Get or create room record
+    let room = rooms.get(data.roomId);
+    
+    if (room) {
+      const previousRoom = { ...room };
+      
+      // Update existing room - preserve createdAt, update all other fields
+      room.gameType = data.gameType !== undefined ? data.gameType : room.gameType;
+      room.gameOptions = gameOptions;
+      room.status = data.status || room.status;
+      
+      // App base URL (can be updated)
+      if (data.appBaseUrl) room.appBaseUrl = data.appBaseUrl;
+      
+      // Public flag (can be updated, except on rooms hidden by an admin)
+      if (data.public !== undefined && !room.hidden) room.public = data.public;
+      if (room.public === false && !room.inviteToken && !room.hidden) room.inviteToken = generateInviteToken();
+      
+      // Player 1 fields (can be updated)
+      if (data.player1Name) room.player1Name = data.player1Name;
+      if (data.player1WalletAddress) room.player1WalletAddress = data.player1WalletAddress;
+      if (data.player1WalletPuzzleHash) room.player1WalletPuzzleHash = data.player1WalletPuzzleHash;
+      if (data.player1PublicKey) room.player1PublicKey = data.player1PublicKey;
+      if (data.player1IdentityAddress) room.player1IdentityAddress = data.player1IdentityAddress;
+      if (data.player1PeerId) room.player1PeerId = data.player1PeerId;
+      
+      // Player 2 fields (can be updated)
+      room.player2Name = data.player2Name !== undefined ? data.player2Name : room.player2Name;
+      room.player2WalletAddress = data.player2WalletAddress !== undefined ? data.player2WalletAddress : room.player2WalletAddress;
+      room.player2WalletPuzzleHash = data.player2WalletPuzzleHash !== undefined ? data.player2WalletPuzzleHash : room.player2WalletPuzzleHash;
+      room.player2PublicKey = data.player2PublicKey !== undefined ? data.player2PublicKey : room.player2PublicKey;
+      room.player2IdentityPublicKey = data.player2IdentityPublicKey !== undefined ? data.player2IdentityPublicKey : room.player2IdentityPublicKey;
+      room.player2IdentityAddress = data.player2IdentityAddress !== undefined ? data.player2IdentityAddress : room.player2IdentityAddress;
+      room.player2PeerId = data.player2PeerId !== undefined ? data.player2PeerId : room.player2PeerId;
+      
+      // State channel fields (can be updated)
+      room.stateChannelCoinId = data.stateChannelCoinId !== undefined ? data.stateChannelCoinId : room.stateChannelCoinId;
+      room.stateChannelStatus = data.stateChannelStatus !== undefined ? data.stateChannelStatus : room.stateChannelStatus;
+      room.totalLockedAmount = data.totalLockedAmount !== undefined ? data.totalLockedAmount : room.totalLockedAmount;
+      room.stateChannelSpacescanUrl = data.stateChannelSpacescanUrl !== undefined ? data.stateChannelSpacescanUrl : room.stateChannelSpacescanUrl;
+      room.player1Balance = data.player1Balance !== undefined ? data.player1Balance : room.player1Balance;
+      room.player2Balance = data.player2Balance !== undefined ? data.player2Balance : room.player2Balance;
+      
+      // Game fields (can be updated)
+      room.wagerAmount = data.wagerAmount !== undefined ? data.wagerAmount : room.wagerAmount; // Current game bet, 0 when no game
+      room.activeGameId = data.activeGameId !== undefined ? data.activeGameId : room.activeGameId;
+      
+      // Requested TTL (can be updated, null returns to the status default)
+      room.ttl = data.ttl !== undefined ? data.ttl : room.ttl;
+      
+      room.version = (room.version || 0) + 1;
+      room.updatedAt = Date.now();
+      recordTransitions(room, previousRoom);
+      if (isFunding) room.fundedByIp = getClientIP(req);
+      recordOpeningBalances(room);
+      rooms.set(room.roomId, room);
+      publishRoomEvent('updated', room, previousRoom);
+      if (room.status === 'finished' && previousRoom.status !== 'finished') recordOutcome(room);
+      if (FINAL_ROOM_STATUSES.includes(room.status)) archiveRoom(room, room.status);
+      log('info', 'room.updated', { ...requestContext(req), roomId: room.roomId, status: room.status, version: room.version });
+    } else {
+      // Create new room - store all fields from announcement
+      room = createRoomRecord(data, gameOptions, network);
+      recordTransitions(room, null);
+      recordOpeningBalances(room);
+      rooms.set(data.roomId, room);
+      publishRoomEvent('created', room);
+      log('info', 'room.created', { ...requestContext(req), roomId: room.roomId, status: room.status, rooms: rooms.size });
+    }
+    
+    // Response (the owner gets the invite token for private rooms)
+    const response = {
+      'tracker id': TRACKER_ID,
+      'interval': ANNOUNCE_INTERVAL,
+      'min interval': MIN_ANNOUNCE_INTERVAL,
+      'complete': 1,
+      'incomplete': 0,
+      'room': toFullRoom(room)
+    };
+    if (room.public === false && room.inviteToken) {
+      response['invite token'] = room.inviteToken;
+    }
+    res.json(response);
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /announce', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /rooms/:roomId/join - Join a waiting room as player 2
+ * 
+ * Body: player2 fields plus a signed envelope (timestamp, nonce, signature)
+ * from player2IdentityPublicKey. Private rooms also need inviteToken.
+ * 
+ * Validation and the seat assignment run synchronously, so concurrent joins
+ * are applied in arrival order: the first valid join wins and every later
+ * one gets 409 Conflict.
+ */
+app.post('/rooms/:roomId/join', rateLimit, (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const data = req.body;
+    
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid roomId'
+      });
+    }
+    
+    const errors = validateJoin(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        'failure reason': errors.join('; ')
+      });
+    }
+    
+    const bannedAddress = findBannedAddress([data.player2WalletAddress, data.player2IdentityAddress]);
+    if (bannedAddress) {
+      return res.status(403).json({
+        'failure reason': `Address ${bannedAddress} is banned from this tracker`
+      });
+    }
+    
+    const room = rooms.get(roomId);
+    // Private rooms without the right invite look exactly like missing rooms
+    if (!room || (room.public === false && !inviteTokenMatches(room, data.inviteToken))) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    
+    const authErrors = verifySignedEnvelope({ ...data, roomId, action: 'join' }, data.player2IdentityPublicKey);
+    if (authErrors.length > 0) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized join: ${authErrors.join('; ')}`
+      });
+    }
+    
+    if (data.player2IdentityPublicKey === room.player1IdentityPublicKey) {
+      return res.status(400).json({
+        'failure reason': 'Cannot join your own room'
+      });
+    }
+    
+    if (room.player2PeerId || room.player2WalletAddress) {
+      return res.status(409).json({
+        'failure reason': 'Room already has a player 2'
+      });
+    }
+    
+    if (room.status !== 'waiting') {
+      return res.status(409).json({
+        'failure reason': `Room is not waiting for players (status: ${room.status})`
+      });
+    }
+    
+    // Player 2's addresses must be on the room's network
+    const { errors: networkErrors } = resolveNetwork({
+      ...room,
+      player2WalletAddress: data.player2WalletAddress,
+      player2IdentityAddress: data.player2IdentityAddress
+    });
+    if (networkErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': networkErrors.join('; ')
+      });
+    }
+    
+    markNonceUsed(data, data.player2IdentityPublicKey);
+    seatPlayer2(room, data);
+    log('info', 'room.joined', { ...requestContext(req), roomId: room.roomId, status: room.status });
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'interval': ANNOUNCE_INTERVAL,
+      'min interval': MIN_ANNOUNCE_INTERVAL,
+      'complete': 1,
+      'incomplete': 0,
+      'room': toFullRoom(room)
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /rooms/:roomId/join', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /events - Real-time room feed (Server-Sent Events)
+ * 
+ * Query parameters (all optional):
+ * - gameType: Only rooms of this game type
+ * - status: Only rooms with this status
+ * - includePrivate: Include private rooms (default: false, admin token required)
+ * - lastEventId: Resume after this event ID (same as the Last-Event-ID header
+ *   that EventSource sends on reconnect)
+ * 
+ * Each message is `data: {"type", "roomId", "room", "timestamp"}` with type
+ * 'created', 'updated', 'expired' or 'deleted'. When the requested resume
+ * point is no longer buffered a 'reset' message is sent first: the client
+ * should reload the full list from GET /announce.
+ */
+app.get('/events', rateLimit, (req, res) => {
+  try {
+    const queryErrors = validateQueryParams(req);
+    const resumeFrom = req.headers['last-event-id'] || req.query.lastEventId;
+    if (resumeFrom !== undefined && !/^\d+$/.test(resumeFrom)) {
+      queryErrors.push('Invalid lastEventId (must be non-negative integer)');
+    }
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': queryErrors.join('; ')
+      });
+    }
+    if (rejectUnauthorizedPrivateListing(req, res)) return;
+    
+    if (eventClients.size >= MAX_EVENT_CLIENTS) {
+      return res.status(503).json({
+        'failure reason': 'Too many open event streams. Fall back to polling GET /announce.'
+      });
+    }
+    
+    const filters = {
+      gameType: req.query.gameType || 'all',
+      status: req.query.status || 'all',
+      network: req.query.network || DEFAULT_NETWORK,
+      includePrivate: req.query.includePrivate === 'true' || req.query.includePrivate === '1'
+    };
+    const fullAccess = isTrustedFrontend(req);
+    
+    // Streams stay open indefinitely; the heartbeat keeps proxies happy
+    req.socket.setTimeout(0);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    
+    // Replay missed events
+    if (resumeFrom !== undefined) {
+      const resumeId = parseInt(resumeFrom);
+      const oldestId = roomEvents.length > 0 ? roomEvents[0].id : lastChangeSeq + 1;
+      if (resumeId < oldestId - 1 || resumeId > lastChangeSeq) {
+        res.write(`id: ${lastChangeSeq}\ndata: ${JSON.stringify({ type: 'reset', timestamp: Date.now() })}\n\n`);
+      } else {
+        for (const event of roomEvents) {
+          if (event.id > resumeId && eventMatchesFilters(event, filters)) {
+            res.write(formatEvent(event, fullAccess));
+          }
+        }
+      }
+    }
+    
+    const client = { res, filters, fullAccess };
+    eventClients.add(client);
+    req.on('close', () => {
+      eventClients.delete(client);
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /events', error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        'failure reason': 'Internal server error'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * GET /rooms/:roomId - Look up a single room
+ * 
+ * Private rooms are only returned with their invite token (X-Invite-Token
+ * header or inviteToken query parameter), participant proof or an admin token.
+ * Anonymous callers get the lobby view; participants (see
+ * verifyParticipantProof) and authorised frontends get full details.
+ */
+app.get('/rooms/:roomId', rateLimit, (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid roomId'
+      });
+    }
+    
+    // Private rooms need their invite token (or an admin token) and
+    // otherwise look exactly like missing rooms
+    const room = rooms.get(roomId);
+    if (!room || isRoomExpired(room)) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    
+    const proofErrors = verifyParticipantProof(req, room);
+    const isParticipant = proofErrors !== null && proofErrors.length === 0;
+    const inviteToken = req.get('X-Invite-Token') || req.query.inviteToken;
+    if (room.public === false && !isParticipant && !inviteTokenMatches(room, inviteToken) && !isAdminRequest(req)) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    if (proofErrors !== null && !isParticipant) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized read: ${proofErrors.join('; ')}`
+      });
+    }
+    
+    res.vary('Authorization');
+    res.json({
+      'tracker id': TRACKER_ID,
+      'interval': ANNOUNCE_INTERVAL,
+      'min interval': MIN_ANNOUNCE_INTERVAL,
+      'complete': 1,
+      'incomplete': 0,
+      'room': toRoomView(room, isParticipant || isTrustedFrontend(req))
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /rooms/:roomId', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /rooms/:roomId - Close a room and remove it from listings immediately
+ * 
+ * Body: signed envelope (timestamp, nonce, signature) from the room owner's
+ * player1IdentityPublicKey; the signed payload includes roomId and
+ * action: 'delete'.
+ */
+app.delete('/rooms/:roomId', rateLimit, (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const data = req.body || {};
+    
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid roomId'
+      });
+    }
+    
+    const room = rooms.get(roomId);
+    if (!room) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    
+    const authErrors = verifySignedEnvelope({ ...data, roomId, action: 'delete' }, room.player1IdentityPublicKey);
+    if (authErrors.length > 0) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized delete: ${authErrors.join('; ')}`
+      });
+    }
+    
+    markNonceUsed(data, room.player1IdentityPublicKey);
+    removeRoom(room, 'deleted');
+    log('info', 'room.deleted', { ...requestContext(req), roomId, rooms: rooms.size });
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'deleted': roomId
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'DELETE /rooms/:roomId', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /rooms/:roomId/heartbeat - Keep a room alive
+ * 
+ * Body: signed envelope (timestamp, nonce, signature) from the room owner's
+ * player1IdentityPublicKey; the signed payload includes roomId and
+ * action: 'heartbeat'. Only refreshes updatedAt (no other field or version
+ * changes), but publishes an updated event so since-cursors, ETags and
+ * /events see the new updatedAt. Heartbeats have their own rate budget.
+ */
+app.post('/rooms/:roomId/heartbeat', rateLimit, (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const data = req.body || {};
+    
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid roomId'
+      });
+    }
+    
+    const room = rooms.get(roomId);
+    if (!room || isRoomExpired(room)) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    
+    const authErrors = verifySignedEnvelope({ ...data, roomId, action: 'heartbeat' }, room.player1IdentityPublicKey);
+    if (authErrors.length > 0) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized heartbeat: ${authErrors.join('; ')}`
+      });
+    }
+    
+    markNonceUsed(data, room.player1IdentityPublicKey);
+    const previousRoom = { ...room };
+    room.updatedAt = Date.now();
+    rooms.set(roomId, room);
+    publishRoomEvent('updated', room, previousRoom);
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'interval': ANNOUNCE_INTERVAL,
+      'min interval': MIN_ANNOUNCE_INTERVAL,
+      'roomId': roomId,
+      'updatedAt': room.updatedAt,
+      'expires in': roomExpiresIn(room),
+      'expires at': roomExpiresAt(room)
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /rooms/:roomId/heartbeat', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /rooms/:roomId/signals - Send a WebRTC signaling message
+ * 
+ * Body: to (the other player's peer ID), type (offer, answer, candidate or
+ * bye), payload (SDP or ICE candidate, at most MAX_SIGNAL_SIZE bytes of
+ * JSON) and a signed envelope from either player's identity key over the
+ * body plus roomId and action: 'signal'. The mailbox keeps the latest
+ * MAX_SIGNALS_PER_ROOM messages and is dropped with the room.
+ */
+app.post('/rooms/:roomId/signals', rateLimit, (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const data = req.body || {};
+    
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid roomId'
+      });
+    }
+    
+    // Non-participants cannot tell a private room from a missing one
+    const room = rooms.get(roomId);
+    const seat = room ? roomSeat(room, data.identityPublicKey) : null;
+    if (!room || isRoomExpired(room) || (room.public === false && !seat)) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    
+    const errors = validateSignal(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        'failure reason': errors.join('; ')
+      });
+    }
+    
+    if (!seat) {
+      return res.status(401).json({
+        'failure reason': 'Unauthorized signal: identityPublicKey is not a participant of this room'
+      });
+    }
+    const authErrors = verifySignedEnvelope({ ...data, roomId, action: 'signal' }, data.identityPublicKey);
+    if (authErrors.length > 0) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized signal: ${authErrors.join('; ')}`
+      });
+    }
+    
+    const otherSeat = seat === 'player1' ? 'player2' : 'player1';
+    const recipient = room[`${otherSeat}PeerId`];
+    if (!recipient) {
+      return res.status(409).json({
+        'failure reason': 'No other player has joined this room yet'
+      });
+    }
+    if (data.to !== recipient) {
+      return res.status(409).json({
+        'failure reason': `to does not match the other player's peer ID (${recipient})`
+      });
+    }
+    
+    markNonceUsed(data, data.identityPublicKey);
+    const message = postSignal(roomId, {
+      from: room[`${seat}PeerId`],
+      to: recipient,
+      type: data.type,
+      payload: data.payload
+    });
+    
+    res.status(201).json({
+      'tracker id': TRACKER_ID,
+      'roomId': roomId,
+      'seq': message.seq,
+      'at': message.at
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /rooms/:roomId/signals', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /rooms/:roomId/signals - Fetch signaling messages addressed to you
+ * 
+ * Requires participant proof headers (see verifyParticipantProof). Query:
+ * after (sequence number of the last message seen, default 0) and wait
+ * (optional, seconds up to MAX_SIGNAL_WAIT) to long-poll for new messages.
+ * Pass the response's 'last seq' as the next after.
+ */
+app.get('/rooms/:roomId/signals', rateLimit, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid roomId'
+      });
+    }
+    
+    const after = req.query.after !== undefined ? req.query.after : '0';
+    const wait = req.query.wait !== undefined ? req.query.wait : '0';
+    if (!/^\d+$/.test(after)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid after (must be a sequence number)'
+      });
+    }
+    if (!/^\d+$/.test(wait) || parseInt(wait) > MAX_SIGNAL_WAIT) {
+      return res.status(400).json({
+        'failure reason': `Invalid wait (must be 0-${MAX_SIGNAL_WAIT} seconds)`
+      });
+    }
+    
+    const room = rooms.get(roomId);
+    const proofErrors = room ? verifyParticipantProof(req, room) : null;
+    const isParticipant = proofErrors !== null && proofErrors.length === 0;
+    if (!room || isRoomExpired(room) || (room.public === false && !isParticipant)) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    if (!isParticipant) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized read: ${proofErrors ? proofErrors.join('; ') : 'participant proof required'}`
+      });
+    }
+    
+    const peerId = room[`${roomSeat(room, req.get('X-Identity-Key'))}PeerId`];
+    let messages = pendingSignals(roomId, peerId, parseInt(after));
+    if (messages.length === 0 && parseInt(wait) > 0) {
+      await waitForSignal(roomId, Date.now() + parseInt(wait) * 1000, res);
+      if (req.socket.destroyed) return;
+      if (!rooms.has(roomId)) {
+        return res.status(404).json({
+          'failure reason': 'Room not found'
+        });
+      }
+      messages = pendingSignals(roomId, peerId, parseInt(after));
+    }
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'roomId': roomId,
+      'last seq': messages.length > 0 ? messages[messages.length - 1].seq : parseInt(after),
+      'messages': messages
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /rooms/:roomId/signals', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /match - Quick-match: join a compatible room or queue for a partner
+ * 
+ * Body: gameType, optional network and minWager/maxWager (mojos), appBaseUrl,
+ * the player's fields (playerName, playerWalletAddress, playerPeerId,
+ * playerIdentityPublicKey, ...) and a signed envelope from
+ * playerIdentityPublicKey over the body plus action: 'match'.
+ * 
+ * Joins the oldest compatible public waiting room as player 2 (200). Else
+ * pairs with the longest-queued compatible player in a new active room
+ * owned by that player (200), or queues a ticket (202) to poll with
+ * GET /match/:ticket. A new request replaces the player's queued ticket.
+ */
+app.post('/match', rateLimit, (req, res) => {
+  try {
+    const data = req.body || {};
+    
+    const errors = validateMatchRequest(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        'failure reason': errors.join('; ')
+      });
+    }
+    
+    const bannedAddress = findBannedAddress([data.playerWalletAddress, data.playerIdentityAddress]);
+    if (bannedAddress) {
+      return res.status(403).json({
+        'failure reason': `Address ${bannedAddress} is banned from this tracker`
+      });
+    }
+    
+    const authErrors = verifySignedEnvelope({ ...data, action: 'match' }, data.playerIdentityPublicKey);
+    if (authErrors.length > 0) {
+      return res.status(401).json({
+        'failure reason': `Unauthorized match: ${authErrors.join('; ')}`
+      });
+    }
+    
+    expireMatchTickets();
+    for (const [ticketId, queued] of matchTickets.entries()) {
+      if (queued.status === 'queued' && queued.player.identityPublicKey === data.playerIdentityPublicKey) {
+        matchTickets.delete(ticketId);
+        for (const wake of queued.waiters) wake();
+      }
+    }
+    if (matchTickets.size >= MAX_MATCH_TICKETS) {
+      return res.status(503).json({
+        'failure reason': 'Too many players queued for matches. Try again later.'
+      });
+    }
+    
+    const now = Date.now();
+    const ticket = {
+      ticketId: crypto.randomBytes(INVITE_TOKEN_BYTES).toString('base64url'),
+      criteria: {
+        gameType: data.gameType,
+        network: data.network || DEFAULT_NETWORK,
+        appBaseUrl: data.appBaseUrl,
+        minWager: data.minWager !== undefined ? data.minWager : 0,
+        maxWager: data.maxWager !== undefined ? data.maxWager : games.get(data.gameType).maxWager
+      },
+      player: {
+        name: data.playerName,
+        walletAddress: data.playerWalletAddress,
+        walletPuzzleHash: data.playerWalletPuzzleHash || null,
+        publicKey: data.playerPublicKey || null,
+        identityPublicKey: data.playerIdentityPublicKey,
+        identityAddress: data.playerIdentityAddress || null,
+        peerId: data.playerPeerId
+      },
+      status: 'queued',
+      roomId: null,
+      role: null,
+      createdAt: now,
+      expiresAt: now + MATCH_TICKET_TTL * 1000,
+      waiters: new Set()
+    };
+    
+    const room = findMatchingRoom(ticket);
+    if (room) {
+      resolveTicket(ticket, joinMatchedRoom(ticket, room), 'player2');
+    } else {
+      const queued = findMatchingTicket(ticket);
+      if (queued) {
+        const { room: created, errors: roomErrors } = createMatchedRoom(queued, ticket);
+        if (roomErrors.length > 0) {
+          return res.status(400).json({
+            'failure reason': roomErrors.join('; ')
+          });
+        }
+        if (!created) {
+          res.set('Retry-After', String(MIN_ANNOUNCE_INTERVAL));
+          return res.status(503).json({
+            'failure reason': `Tracker is full (${MAX_ROOMS} rooms, all holding funded channels). Try again later.`
+          });
+        }
+        resolveTicket(queued, created, 'player1');
+        resolveTicket(ticket, created, 'player2');
+      }
+    }
+    markNonceUsed(data, data.playerIdentityPublicKey);
+    matchTickets.set(ticket.ticketId, ticket);
+    
+    res.status(ticket.status === 'matched' ? 200 : 202).json(formatTicket(ticket));
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /match', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /match/:ticket - Poll a quick-match ticket
+ * 
+ * Query: wait (optional, seconds up to MATCH_MAX_WAIT) long-polls until
+ * the ticket is matched. The ticket ID is the credential: only the player
+ * who queued knows it.
+ */
+app.get('/match/:ticket', rateLimit, async (req, res) => {
+  try {
+    const wait = req.query.wait !== undefined ? req.query.wait : '0';
+    if (!/^\d+$/.test(wait) || parseInt(wait) > MATCH_MAX_WAIT) {
+      return res.status(400).json({
+        'failure reason': `Invalid wait (must be 0-${MATCH_MAX_WAIT} seconds)`
+      });
+    }
+    
+    expireMatchTickets();
+    const ticket = matchTickets.get(req.params.ticket);
+    if (!ticket) {
+      return res.status(404).json({
+        'failure reason': 'Ticket not found'
+      });
+    }
+    
+    retryMatch(ticket);
+    if (parseInt(wait) > 0) {
+      await waitForMatch(ticket, Date.now() + parseInt(wait) * 1000, res);
+      if (req.socket.destroyed) return;
+      if (!matchTickets.has(ticket.ticketId)) {
+        return res.status(404).json({
+          'failure reason': 'Ticket not found'
+        });
+      }
+    }
+    
+    res.json(formatTicket(ticket));
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /match/:ticket', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /match/:ticket - Leave the quick-match queue
+ */
+app.delete('/match/:ticket', rateLimit, (req, res) => {
+  try {
+    const ticket = matchTickets.get(req.params.ticket);
+    if (!ticket) {
+      return res.status(404).json({
+        'failure reason': 'Ticket not found'
+      });
+    }
+    if (ticket.status === 'matched') {
+      return res.status(409).json({
+        'failure reason': `Ticket already matched (room ${ticket.roomId}); leave the room instead`,
+        ...formatTicket(ticket)
+      });
+    }
+    
+    matchTickets.delete(ticket.ticketId);
+    for (const wake of ticket.waiters) wake();
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'cancelled': ticket.ticketId
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'DELETE /match/:ticket', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /history - Ended games from the archive
+ * 
+ * Query parameters (all optional):
+ * - wallet: Games where either player used this wallet address
+ * - identity: Games where either player used this identity address
+ * - gameType: Filter by game type
+ * - from, to: endedAt range (ms timestamps, inclusive)
+ * - network: 'mainnet' (default), 'testnet' or 'all'
+ * - cursor: Opaque token from `next cursor` of the previous page
+ * - limit: Page size (default 50, max 200)
+ * - includePrivate: Include private rooms (admin token required)
+ * 
+ * Anonymous callers get the public view of public games and cannot filter
+ * by wallet or identity. Trusted frontends get the full view. A player who
+ * sends identity proof (action 'history') gets the full view of their own
+ * games only, private ones included.
+ */
+app.get('/history', rateLimit, (req, res) => {
+  try {
+    const queryErrors = validateHistoryQuery(req.query);
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': queryErrors.join('; ')
+      });
+    }
+    if (rejectUnauthorizedPrivateListing(req, res)) return;
+    
+    const proof = verifyHistoryProof(req);
+    if (proof && proof.errors.length > 0) {
+      return res.status(401).json({
+        'failure reason': `Invalid identity proof: ${proof.errors.join('; ')}`
+      });
+    }
+    const trusted = isTrustedFrontend(req);
+    if ((req.query.wallet !== undefined || req.query.identity !== undefined) && !trusted && !proof) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        'failure reason': 'wallet and identity filters require identity proof (X-Identity-Key, X-Timestamp, X-Nonce, X-Signature) or a frontend token'
+      });
+    }
+    
+    const playerKey = proof ? proof.publicKey : null;
+    const includePrivate = req.query.includePrivate === 'true' || req.query.includePrivate === '1';
+    const network = req.query.network || DEFAULT_NETWORK;
+    const gameType = req.query.gameType || 'all';
+    const wallet = req.query.wallet || null;
+    const identity = req.query.identity || null;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : null;
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+    const cursor = req.query.cursor !== undefined ? decodeHistoryCursor(req.query.cursor) : null;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 200);
+    const fullAccess = trusted || Boolean(playerKey);
+    
+    const history = Array.from(archive.values())
+      .filter(r => {
+        if (playerKey) {
+          if (r.player1IdentityPublicKey !== playerKey && r.player2IdentityPublicKey !== playerKey) return false;
+        } else if (r.public === false && !includePrivate) {
+          return false;
+        }
+        if (network !== 'all' && roomNetwork(r) !== network) return false;
+        if (gameType !== 'all' && r.gameType !== gameType) return false;
+        if (wallet && r.player1WalletAddress !== wallet && r.player2WalletAddress !== wallet) return false;
+        if (identity && r.player1IdentityAddress !== identity && r.player2IdentityAddress !== identity) return false;
+        if (from !== null && r.endedAt < from) return false;
+        if (to !== null && r.endedAt > to) return false;
+        return true;
+      })
+      .sort((a, b) => compareSortKeys(HISTORY_ORDER.key(a), HISTORY_ORDER.key(b), HISTORY_ORDER.direction));
+    
+    const remaining = cursor
+      ? history.filter(r => compareSortKeys(HISTORY_ORDER.key(r), cursor.key, HISTORY_ORDER.direction) > 0)
+      : history;
+    const page = remaining.slice(0, limit);
+    const nextCursor = remaining.length > limit ? encodeHistoryCursor(page[page.length - 1]) : null;
+    
+    res.vary('Authorization');
+    res.vary('X-Identity-Key');
+    res.json({
+      'tracker id': TRACKER_ID,
+      'total': history.length,
+      ...(cursor ? { 'cursor': req.query.cursor } : {}),
+      'limit': limit,
+      'next cursor': nextCursor,
+      'rooms': page.map(record => ({
+        ...toRoomView(record, fullAccess),
+        archiveId: record.archiveId,
+        endedAt: record.endedAt,
+        endReason: record.endReason
+      }))
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /history', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /leaderboard - Top players by outcomes of finished rooms
+ * 
+ * Query parameters (all optional):
+ * - gameType: One game type, or 'all' (default) for totals over every game
+ * - sort: 'wins' (default), 'net' (net mojos won) or 'played'
+ * - network: 'mainnet' (default) or 'testnet'
+ * - limit: Number of players (default 50, max 200)
+ */
+app.get('/leaderboard', rateLimit, (req, res) => {
+  try {
+    const queryErrors = validateLeaderboardQuery(req.query);
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': queryErrors.join('; ')
+      });
+    }
+    
+    const gameType = req.query.gameType || 'all';
+    const sort = req.query.sort || 'wins';
+    const network = req.query.network || DEFAULT_NETWORK;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 200);
+    const sortKey = LEADERBOARD_SORTS[sort];
+    
+    const ranked = Array.from(playerStats.values())
+      .filter(stats => stats.network === network)
+      .map(stats => ({ stats, totals: playerGameStats(stats, gameType) }))
+      .filter(({ totals }) => totals.played > 0)
+      .sort((a, b) => compareSortKeys(sortKey(a.totals), sortKey(b.totals), -1) || a.stats.player.localeCompare(b.stats.player));
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'gameType': gameType,
+      'sort': sort,
+      'network': network,
+      'total': ranked.length,
+      'players': ranked.slice(0, limit).map(({ stats, totals }, i) => ({
+        rank: i + 1,
+        player: stats.player,
+        playerName: stats.playerName,
+        ...totals
+      }))
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /leaderboard', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /players/:player - A player's statistics
+ * 
+ * :player is an identity address (or the wallet address for players who
+ * never announced one). The network defaults to the address's own network.
+ */
+app.get('/players/:player', rateLimit, (req, res) => {
+  try {
+    const { player } = req.params;
+    const decoded = decodeChiaAddress(player, IDENTITY_ADDRESS_PREFIXES);
+    if (decoded.error) {
+      return res.status(400).json({
+        'failure reason': `Invalid player address (${decoded.error})`
+      });
+    }
+    if (req.query.network !== undefined && !NETWORKS.includes(req.query.network)) {
+      return res.status(400).json({
+        'failure reason': `Invalid network (must be one of: ${NETWORKS.join(', ')})`
+      });
+    }
+    
+    const network = req.query.network || ADDRESS_NETWORKS[decoded.prefix] || DEFAULT_NETWORK;
+    const stats = playerStats.get(`${network}:${player}`);
+    if (!stats) {
+      return res.status(404).json({
+        'failure reason': 'Player not found'
+      });
+    }
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'player': stats.player,
+      'playerName': stats.playerName,
+      'network': stats.network,
+      'firstPlayedAt': stats.firstPlayedAt,
+      'lastPlayedAt': stats.lastPlayedAt,
+      'totals': playerGameStats(stats, 'all'),
+      'games': stats.games
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /players/:player', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /games - List supported game types
+ * 
+ * Clients build their game menus and option forms from this registry.
+ */
+app.get('/games', rateLimit, (req, res) => {
+  try {
+    res.json({
+      'tracker id': TRACKER_ID,
+      'games': Array.from(games.values()).map(toPublicGame)
+    });
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /games', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /scrape - Get tracker statistics
+ */
+app.get('/scrape', rateLimit, (req, res) => {
+  try {
+    const queryErrors = validateQueryParams(req);
+    if (queryErrors.length > 0) {
+      return res.status(400).json({
+        'failure reason': queryErrors.join('; ')
+      });
+    }
+    
+    const now = Date.now();
+    const network = req.query.network || DEFAULT_NETWORK;
+    
+    // Clean expired rooms first
+    expireRooms(now);
+    
+    const activeRooms = Array.from(rooms.values())
+      .filter(room => network === 'all' || roomNetwork(room) === network);
+    
+    // Calculate statistics
+    let totalRooms = activeRooms.length;
+    let waitingRooms = 0;
+    let activeRoomsCount = 0;
+    const roomsByGameType = {};
+    const roomsByStatus = {};
+    
+    for (const room of activeRooms) {
+      if (room.status === 'waiting') waitingRooms++;
+      if (room.status === 'active') activeRoomsCount++;
+      
+      const gameType = room.gameType || 'unknown';
+      roomsByGameType[gameType] = (roomsByGameType[gameType] || 0) + 1;
+      
+      const status = room.status || 'unknown';
+      roomsByStatus[status] = (roomsByStatus[status] || 0) + 1;
+    }
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'network': network,
+      'files': {
+        '_total': {
+          'complete': totalRooms,
+          'incomplete': 0
+        },
+        '_by_game_type': roomsByGameType,
+        '_by_status': roomsByStatus
+      }
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /scrape', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /admin/blocks - Current IP blocks and banned addresses (admin)
+ */
+app.get('/admin/blocks', rateLimit, requireAdmin, (req, res) => {
+  try {
+    const now = Date.now();
+    const temporary = [];
+    for (const [ip, blockInfo] of blockedIPs.entries()) {
+      if (now >= blockInfo.blockedUntil) continue;
+      temporary.push({
+        ip,
+        reason: blockInfo.reason,
+        blockedUntil: blockInfo.blockedUntil,
+        'expires in': Math.ceil((blockInfo.blockedUntil - now) / 1000)
+      });
+    }
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'permanent': Array.from(BLOCKED_IPS),
+      'temporary': temporary,
+      'addresses': Array.from(bannedAddresses)
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /admin/blocks', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
 });
 
 /**
- * GET /announce - List rooms
+ * POST /admin/blocks - Block an IP (admin)
  * 
- * Query parameters (all optional):
- * - gameType: Filter by game type (e.g., 'rockpaperscissors', 'calpoker')
- * - status: Filter by status ('waiting', 'active', 'all')
- * - search: Text search in roomId, player names (case-insensitive)
- * - minWager: Minimum wager amount (mojos)
- * - maxWager: Maximum wager amount (mojos)
- * - sort: 'newest', 'oldest', 'wager_high', 'wager_low'
- * - offset: Pagination offset
- * - limit: Pagination limit (max 200)
- * - includePrivate: Include private rooms in results (default: false, set to 'true' to include)
+ * Body: ip, optional duration (seconds; permanent when omitted) and reason.
  */
-app.get('/announce', rateLimit, (req, res) => {
+app.post('/admin/blocks', rateLimit, requireAdmin, (req, res) => {
   try {
-    // Validate query parameters
-    const queryErrors = validateQueryParams(req);
-    if (queryErrors.length > 0) {
+    const { ip, duration, reason } = req.body || {};
+    
+    if (typeof ip !== 'string' || !net.isIP(ip)) {
       return res.status(400).json({
-        'failure reason': queryErrors.join('; ')
+        'failure reason': 'Missing or invalid ip'
       });
     }
-    
-    // Clean expired rooms (but also check updatedAt for active rooms)
-    const now = Date.now();
-    for (const [roomId, room] of rooms.entries()) {
-      // Use updatedAt if available (room was recently updated), otherwise use createdAt
-      const lastActivity = room.updatedAt || room.createdAt;
-      if (lastActivity && (now - lastActivity > PEER_TIMEOUT * 1000)) {
-        console.log(`[CLEANUP] Removing expired room: ${roomId} (last activity: ${new Date(lastActivity).toISOString()})`);
-        rooms.delete(roomId);
-      }
+    if (isLocalhostIP(ip)) {
+      return res.status(400).json({
+        'failure reason': 'Localhost cannot be blocked'
+      });
     }
-    
-    // Get and sanitize query parameters
-    const gameType = req.query.gameType || 'all';
-    const status = req.query.status || 'all';
-    const search = sanitizeSearch(req.query.search);
-    const minWager = parseInt(req.query.minWager) || 0;
-    const maxWager = parseInt(req.query.maxWager) || Infinity;
-    const sort = req.query.sort || 'newest';
-    const offset = Math.max(0, parseInt(req.query.offset) || 0);
-    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 200);
-    const includePrivate = req.query.includePrivate === 'true' || req.query.includePrivate === '1';
-    
-    // Start with all non-expired rooms
-    let roomList = Array.from(rooms.values());
-    
-    // Filter by public/private (exclude private rooms by default)
-    if (!includePrivate) {
-      roomList = roomList.filter(r => r.public !== false);
+    if (duration !== undefined && (!Number.isSafeInteger(duration) || duration <= 0)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid duration (must be a positive number of seconds)'
+      });
     }
-    
-    // Filter by game type
-    if (gameType && gameType !== 'all') {
-      roomList = roomList.filter(r => r.gameType === gameType);
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return res.status(400).json({
+        'failure reason': 'Invalid reason (max 200 characters)'
+      });
     }
     
-    // Filter by status
-    if (status && status !== 'all') {
-      roomList = roomList.filter(r => r.status === status);
+    if (duration === undefined) {
+      BLOCKED_IPS.add(ip);
+      metrics.ipBlocks.permanent++;
+      log('warn', 'admin.ip_blocked', { ...requestContext(req), blockedIp: ip, reason: reason || null });
+    } else {
+      blockIP(ip, reason || 'Blocked by administrator', duration * 1000);
     }
     
-    // Filter by wager
-    roomList = roomList.filter(r => {
-      const wager = r.wagerAmount || 0;
-      return wager >= minWager && wager <= maxWager;
+    res.status(201).json({
+      'tracker id': TRACKER_ID,
+      'ip': ip,
+      'permanent': duration === undefined,
+      'blockedUntil': duration === undefined ? null : blockedIPs.get(ip).blockedUntil
     });
     
-    // Search
-    if (search) {
-      const searchLower = search.toLowerCase();
-      roomList = roomList.filter(r => 
-        (r.roomId && r.roomId.toLowerCase().includes(searchLower)) ||
-        (r.player1Name && r.player1Name.toLowerCase().includes(searchLower)) ||
-        (r.player2Name && r.player2Name && r.player2Name.toLowerCase().includes(searchLower)) ||
-        (r.player1?.name && r.player1.name.toLowerCase().includes(searchLower)) ||
-        (r.player2?.name && r.player2.name && r.player2.name.toLowerCase().includes(searchLower))
-      );
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /admin/blocks', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/blocks/:ip - Lift permanent and temporary blocks (admin)
+ * 
+ * Also forgets the IP's rate limit state so its violations start over.
+ */
+app.delete('/admin/blocks/:ip', rateLimit, requireAdmin, (req, res) => {
+  try {
+    const { ip } = req.params;
+    if (!BLOCKED_IPS.has(ip) && !blockedIPs.has(ip)) {
+      return res.status(404).json({
+        'failure reason': 'IP is not blocked'
+      });
     }
+    BLOCKED_IPS.delete(ip);
+    blockedIPs.delete(ip);
+    rateLimitMap.delete(ip);
+    log('info', 'admin.ip_unblocked', { ...requestContext(req), blockedIp: ip });
     
-    // Sort
-    switch (sort) {
-      case 'oldest':
-        roomList.sort((a, b) => a.createdAt - b.createdAt);
-        break;
-      case 'wager_high':
-        roomList.sort((a, b) => (b.wagerAmount || 0) - (a.wagerAmount || 0));
-        break;
-      case 'wager_low':
-        roomList.sort((a, b) => (a.wagerAmount || 0) - (b.wagerAmount || 0));
-        break;
-      case 'newest':
-      default:
-        roomList.sort((a, b) => b.createdAt - a.createdAt);
-        break;
-    }
-    
-    // Paginate
-    const total = roomList.length;
-    const paginatedRooms = roomList.slice(offset, offset + limit);
-    
-    // Response
     res.json({
       'tracker id': TRACKER_ID,
-      'interval': ANNOUNCE_INTERVAL,
-      'min interval': MIN_ANNOUNCE_INTERVAL,
-      'complete': paginatedRooms.length,
-      'incomplete': 0,
-      'total': total,
-      'offset': offset,
-      'limit': limit,
-      'rooms': paginatedRooms
+      'unblocked': ip
     });
     
   } catch (error) {
-    console.error('Error in GET /announce:', error);
+    log('error', 'request.failed', { ...requestContext(req), route: 'DELETE /admin/blocks/:ip', error });
     res.status(500).json({
       'failure reason': 'Internal server error'
     });
@@ -672,135 +4500,90 @@ app.get('/announce', rateLimit, (req, res) => {
 });
 
 /**
- * POST /announce - Announce a room
+ * GET /admin/rate-limits - Per-IP rate limit state (admin)
+ * 
+ * Clients with the most violations come first.
  */
-app.post('/announce', rateLimit, (req, res) => {
+app.get('/admin/rate-limits', rateLimit, requireAdmin, (req, res) => {
   try {
-    const data = req.body;
+    const clients = Array.from(rateLimitMap.entries())
+      .map(([ip, data]) => ({ ip, ...data }))
+      .sort((a, b) => b.violations - a.violations || b.resetTime - a.resetTime);
     
-    // Validate
-    const errors = validateAnnouncement(data);
-    if (errors.length > 0) {
+    res.json({
+      'tracker id': TRACKER_ID,
+      'window': RATE_LIMIT_WINDOW / 1000,
+      'limits': {
+        requests: RATE_LIMIT_MAX_REQUESTS,
+        announces: RATE_LIMIT_MAX_ANNOUNCES,
+        heartbeats: RATE_LIMIT_MAX_HEARTBEATS,
+        signals: RATE_LIMIT_MAX_SIGNALS,
+        violations: MAX_VIOLATIONS
+      },
+      'disabled': DISABLE_RATE_LIMIT,
+      'clients': clients
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'GET /admin/rate-limits', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /admin/bans - Ban a wallet or identity address (admin)
+ * 
+ * Banned addresses cannot announce, join or quick-match. Rooms they are
+ * already in are left alone; remove or hide them separately.
+ */
+app.post('/admin/bans', rateLimit, requireAdmin, (req, res) => {
+  try {
+    const { address } = req.body || {};
+    const decoded = decodeChiaAddress(address, IDENTITY_ADDRESS_PREFIXES);
+    if (decoded.error) {
       return res.status(400).json({
-        'failure reason': errors.join('; ')
+        'failure reason': `Invalid address: ${decoded.error}`
       });
     }
     
-    // Enforce room limit
-    if (rooms.size >= MAX_ROOMS) {
-      // Remove oldest room
-      const sortedRooms = Array.from(rooms.entries())
-        .sort((a, b) => a[1].createdAt - b[1].createdAt);
-      if (sortedRooms.length > 0) {
-        rooms.delete(sortedRooms[0][0]);
-      }
-    }
+    bannedAddresses.add(address.toLowerCase());
+    log('warn', 'admin.address_banned', { ...requestContext(req), address: address.toLowerCase() });
     
-    // Get or create room record
-    let room = rooms.get(data.roomId);
+    res.status(201).json({
+      'tracker id': TRACKER_ID,
+      'banned': address.toLowerCase()
+    });
     
-    if (room) {
-      // Update existing room - preserve createdAt, update all other fields
-      room.gameType = data.gameType !== undefined ? data.gameType : room.gameType;
-      room.status = data.status || room.status;
-      
-      // App base URL (can be updated)
-      if (data.appBaseUrl) room.appBaseUrl = data.appBaseUrl;
-      
-      // Public flag (can be updated)
-      if (data.public !== undefined) room.public = data.public;
-      
-      // Player 1 fields (can be updated)
-      if (data.player1Name) room.player1Name = data.player1Name;
-      if (data.player1WalletAddress) room.player1WalletAddress = data.player1WalletAddress;
-      if (data.player1WalletPuzzleHash) room.player1WalletPuzzleHash = data.player1WalletPuzzleHash;
-      if (data.player1PublicKey) room.player1PublicKey = data.player1PublicKey;
-      if (data.player1IdentityPublicKey) room.player1IdentityPublicKey = data.player1IdentityPublicKey;
-      if (data.player1IdentityAddress) room.player1IdentityAddress = data.player1IdentityAddress;
-      if (data.player1PeerId) room.player1PeerId = data.player1PeerId;
-      
-      // Player 2 fields (can be updated)
-      room.player2Name = data.player2Name !== undefined ? data.player2Name : room.player2Name;
-      room.player2WalletAddress = data.player2WalletAddress !== undefined ? data.player2WalletAddress : room.player2WalletAddress;
-      room.player2WalletPuzzleHash = data.player2WalletPuzzleHash !== undefined ? data.player2WalletPuzzleHash : room.player2WalletPuzzleHash;
-      room.player2PublicKey = data.player2PublicKey !== undefined ? data.player2PublicKey : room.player2PublicKey;
-      room.player2IdentityPublicKey = data.player2IdentityPublicKey !== undefined ? data.player2IdentityPublicKey : room.player2IdentityPublicKey;
-      room.player2IdentityAddress = data.player2IdentityAddress !== undefined ? data.player2IdentityAddress : room.player2IdentityAddress;
-      room.player2PeerId = data.player2PeerId !== undefined ? data.player2PeerId : room.player2PeerId;
-      
-      // State channel fields (can be updated)
-      room.stateChannelCoinId = data.stateChannelCoinId !== undefined ? data.stateChannelCoinId : room.stateChannelCoinId;
-      room.stateChannelStatus = data.stateChannelStatus !== undefined ? data.stateChannelStatus : room.stateChannelStatus;
-      room.totalLockedAmount = data.totalLockedAmount !== undefined ? data.totalLockedAmount : room.totalLockedAmount;
-      room.stateChannelSpacescanUrl = data.stateChannelSpacescanUrl !== undefined ? data.stateChannelSpacescanUrl : room.stateChannelSpacescanUrl;
-      room.player1Balance = data.player1Balance !== undefined ? data.player1Balance : room.player1Balance;
-      room.player2Balance = data.player2Balance !== undefined ? data.player2Balance : room.player2Balance;
-      
-      // Game fields (can be updated)
-      room.wagerAmount = data.wagerAmount !== undefined ? data.wagerAmount : room.wagerAmount; // Current game bet, 0 when no game
-      room.activeGameId = data.activeGameId !== undefined ? data.activeGameId : room.activeGameId;
-      
-      room.updatedAt = Date.now();
-      console.log(`[TRACKER] Updated room: ${room.roomId} (status: ${room.status}, total rooms: ${rooms.size})`);
-    } else {
-      // Create new room - store all fields from announcement
-      room = {
-        roomId: data.roomId,
-        gameType: data.gameType || null,
-        status: data.status || 'waiting',
-        appBaseUrl: data.appBaseUrl,
-        public: data.public !== undefined ? data.public : true, // Default to true for backwards compatibility
-        
-        // Player 1 (required)
-        player1Name: data.player1Name,
-        player1WalletAddress: data.player1WalletAddress,
-        player1WalletPuzzleHash: data.player1WalletPuzzleHash || null,
-        player1PublicKey: data.player1PublicKey || null,
-        player1IdentityPublicKey: data.player1IdentityPublicKey || null,
-        player1IdentityAddress: data.player1IdentityAddress || null,
-        player1PeerId: data.player1PeerId,
-        
-        // Player 2 (optional)
-        player2Name: data.player2Name || null,
-        player2WalletAddress: data.player2WalletAddress || null,
-        player2WalletPuzzleHash: data.player2WalletPuzzleHash || null,
-        player2PublicKey: data.player2PublicKey || null,
-        player2IdentityPublicKey: data.player2IdentityPublicKey || null,
-        player2IdentityAddress: data.player2IdentityAddress || null,
-        player2PeerId: data.player2PeerId || null,
-        
-        // State channel
-        stateChannelCoinId: data.stateChannelCoinId || null,
-        stateChannelStatus: data.stateChannelStatus || null, // 'pending', 'locked', 'active', 'settling', 'settled', 'cancelled'
-        totalLockedAmount: data.totalLockedAmount !== undefined ? data.totalLockedAmount : null, // Total locked in state channel (mojos)
-        stateChannelSpacescanUrl: data.stateChannelSpacescanUrl || null, // URL to view coin on Spacescan
-        player1Balance: data.player1Balance !== undefined ? data.player1Balance : null, // Player 1 balance in state channel (mojos)
-        player2Balance: data.player2Balance !== undefined ? data.player2Balance : null, // Player 2 balance in state channel (mojos)
-        
-        // Game
-        wagerAmount: data.wagerAmount !== undefined ? data.wagerAmount : 0, // Current game bet (0 when no active game)
-        activeGameId: data.activeGameId || null,
-        
-        // Timestamps
-        createdAt: data.createdAt || Date.now(),
-        updatedAt: Date.now()
-      };
-      rooms.set(data.roomId, room);
-      console.log(`[TRACKER] Created new room: ${room.roomId} (status: ${room.status}, total rooms: ${rooms.size})`);
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /admin/bans', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/bans/:address - Lift an address ban (admin)
+ */
+app.delete('/admin/bans/:address', rateLimit, requireAdmin, (req, res) => {
+  try {
+    const address = req.params.address.toLowerCase();
+    if (!bannedAddresses.delete(address)) {
+      return res.status(404).json({
+        'failure reason': 'Address is not banned'
+      });
     }
+    log('info', 'admin.address_unbanned', { ...requestContext(req), address });
     
-    // Response
     res.json({
       'tracker id': TRACKER_ID,
-      'interval': ANNOUNCE_INTERVAL,
-      'min interval': MIN_ANNOUNCE_INTERVAL,
-      'complete': 1,
-      'incomplete': 0,
-      'room': room
+      'unbanned': address
     });
     
   } catch (error) {
-    console.error('Error in POST /announce:', error);
+    log('error', 'request.failed', { ...requestContext(req), route: 'DELETE /admin/bans/:address', error });
     res.status(500).json({
       'failure reason': 'Internal server error'
     });
@@ -808,54 +4591,109 @@ app.post('/announce', rateLimit, (req, res) => {
 });
 
 /**
- * GET /scrape - Get tracker statistics
+ * DELETE /admin/rooms/:roomId - Force-remove a room (admin)
+ * 
+ * Removes the room like an owner close (feeds see it deleted, played rooms
+ * are archived with endReason 'removed'), funded channels included.
  */
-app.get('/scrape', rateLimit, (req, res) => {
+app.delete('/admin/rooms/:roomId', rateLimit, requireAdmin, (req, res) => {
   try {
-    const now = Date.now();
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
     
-    // Clean expired rooms first (check both createdAt and updatedAt)
-    for (const [roomId, room] of rooms.entries()) {
-      const lastActivity = room.updatedAt || room.createdAt;
-      if (lastActivity && (now - lastActivity > PEER_TIMEOUT * 1000)) {
-        rooms.delete(roomId);
-      }
+    removeRoom(room, 'removed');
+    log('warn', 'admin.room_removed', { ...requestContext(req), roomId: room.roomId, rooms: rooms.size });
+    
+    res.json({
+      'tracker id': TRACKER_ID,
+      'deleted': room.roomId
+    });
+    
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'DELETE /admin/rooms/:roomId', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /admin/rooms/:roomId/hide - Take a public room out of the lobby (admin)
+ * 
+ * The room becomes private without an invite token: it disappears from
+ * listings, feeds, quick-match and history, nobody new can join, and the
+ * owner cannot make it public again. Its players keep access via
+ * participant proof. DELETE /admin/rooms/:roomId/hide undoes this.
+ */
+app.post('/admin/rooms/:roomId/hide', rateLimit, requireAdmin, (req, res) => {
+  try {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        'failure reason': 'Room not found'
+      });
+    }
+    if (room.public === false) {
+      return res.status(409).json({
+        'failure reason': room.hidden ? 'Room is already hidden' : 'Room is private and not listed'
+      });
     }
     
-    const activeRooms = Array.from(rooms.values());
+    const previousRoom = { ...room };
+    room.public = false;
+    room.hidden = true;
+    delete room.inviteToken;
+    room.version = (room.version || 0) + 1;
+    room.updatedAt = Date.now();
+    rooms.set(room.roomId, room);
+    publishRoomEvent('updated', room, previousRoom);
+    log('warn', 'admin.room_hidden', { ...requestContext(req), roomId: room.roomId });
     
-    // Calculate statistics
-    let totalRooms = activeRooms.length;
-    let waitingRooms = 0;
-    let activeRoomsCount = 0;
-    const roomsByGameType = {};
-    const roomsByStatus = {};
+    res.json({
+      'tracker id': TRACKER_ID,
+      'room': toFullRoom(room)
+    });
     
-    for (const room of activeRooms) {
-      if (room.status === 'waiting') waitingRooms++;
-      if (room.status === 'active') activeRoomsCount++;
-      
-      const gameType = room.gameType || 'unknown';
-      roomsByGameType[gameType] = (roomsByGameType[gameType] || 0) + 1;
-      
-      const status = room.status || 'unknown';
-      roomsByStatus[status] = (roomsByStatus[status] || 0) + 1;
+  } catch (error) {
+    log('error', 'request.failed', { ...requestContext(req), route: 'POST /admin/rooms/:roomId/hide', error });
+    res.status(500).json({
+      'failure reason': 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/rooms/:roomId/hide - Return a hidden room to the lobby (admin)
+ */
+app.delete('/admin/rooms/:roomId/hide', rateLimit, requireAdmin, (req, res) => {
+  try {
+    const room = rooms.get(req.params.roomId);
+    if (!room || !room.hidden) {
+      return res.status(404).json({
+        'failure reason': room ? 'Room is not hidden' : 'Room not found'
+      });
     }
     
+    const previousRoom = { ...room };
+    room.public = true;
+    delete room.hidden;
+    room.version = (room.version || 0) + 1;
+    room.updatedAt = Date.now();
+    rooms.set(room.roomId, room);
+    publishRoomEvent('updated', room, previousRoom);
+    log('info', 'admin.room_unhidden', { ...requestContext(req), roomId: room.roomId });
+    
     res.json({
       'tracker id': TRACKER_ID,
-      'files': {
-        '_total': {
-          'complete': totalRooms,
-          'incomplete': 0
-        },
-        '_by_game_type': roomsByGameType,
-        '_by_status': roomsByStatus
-      }
+      'room': toFullRoom(room)
     });
     
   } catch (error) {
-    console.error('Error in GET /scrape:', error);
+    log('error', 'request.failed', { ...requestContext(req), route: 'DELETE /admin/rooms/:roomId/hide', error });
     res.status(500).json({
       'failure reason': 'Internal server error'
     });
@@ -876,9 +4714,33 @@ app.get('/', (req, res) => {
     tracker: TRACKER_ID,
     endpoints: {
       'GET /health': 'Health check',
+      'GET /metrics': 'Prometheus metrics',
       'GET /announce': 'List rooms',
       'POST /announce': 'Announce room',
-      'GET /scrape': 'Get statistics'
+      'GET /events': 'Real-time room feed (SSE)',
+      'GET /rooms/:roomId': 'Look up room',
+      'DELETE /rooms/:roomId': 'Close room',
+      'POST /rooms/:roomId/join': 'Join room as player 2',
+      'POST /rooms/:roomId/heartbeat': 'Keep room alive',
+      'POST /rooms/:roomId/signals': 'Send WebRTC signaling message',
+      'GET /rooms/:roomId/signals': 'Fetch WebRTC signaling messages',
+      'GET /games': 'List game types',
+      'POST /match': 'Quick-match (join or queue)',
+      'GET /match/:ticket': 'Poll a quick-match ticket',
+      'DELETE /match/:ticket': 'Leave the quick-match queue',
+      'GET /history': 'Ended games (archive)',
+      'GET /leaderboard': 'Top players per game type',
+      'GET /players/:player': 'Player statistics',
+      'GET /scrape': 'Get statistics',
+      'GET /admin/blocks': 'IP blocks and banned addresses (admin)',
+      'POST /admin/blocks': 'Block an IP (admin)',
+      'DELETE /admin/blocks/:ip': 'Unblock an IP (admin)',
+      'GET /admin/rate-limits': 'Rate limit state (admin)',
+      'POST /admin/bans': 'Ban an address (admin)',
+      'DELETE /admin/bans/:address': 'Unban an address (admin)',
+      'DELETE /admin/rooms/:roomId': 'Force-remove a room (admin)',
+      'POST /admin/rooms/:roomId/hide': 'Hide a room from the lobby (admin)',
+      'DELETE /admin/rooms/:roomId/hide': 'Unhide a room (admin)'
     }
   });
 });
@@ -889,7 +4751,7 @@ app.get('/', (req, res) => {
 
 // Global error handler (no information leakage)
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  log('error', 'request.unhandled_error', { ...requestContext(req), method: req.method, path: req.path, error: err });
   res.status(500).json({
     'failure reason': 'Internal server error'
   });
@@ -922,11 +4784,12 @@ function clearLocalhostBlocks() {
   }
   
   if (cleared > 0) {
-    console.log(`[DEV] Cleared ${cleared} localhost block(s) on startup`);
+    log('info', 'ip.localhost_cleared', { cleared });
   }
 }
 
-// Clear localhost blocks on startup
+// Load configured blocks, then clear localhost blocks on startup
+loadBlocklist();
 clearLocalhostBlocks();
 
 // Store interval IDs for cleanup (testing)
@@ -934,37 +4797,25 @@ const cleanupIntervals = [];
 
 // Cleanup expired rooms every minute
 const roomCleanupInterval = setInterval(() => {
-  const now = Date.now();
-  let expiredCount = 0;
+  const expiredCount = expireRooms();
+  expireMatchTickets();
   
-  for (const [roomId, room] of rooms.entries()) {
-    // Use updatedAt if available (room was recently updated), otherwise use createdAt
-    const lastActivity = room.updatedAt || room.createdAt;
-    if (lastActivity && (now - lastActivity > PEER_TIMEOUT * 1000)) {
-      console.log(`[CLEANUP] Removing expired room: ${roomId} (last activity: ${new Date(lastActivity).toISOString()}, age: ${Math.round((now - lastActivity) / 1000)}s)`);
-      rooms.delete(roomId);
-      expiredCount++;
-    }
+  // Mailboxes of rooms removed behind our back (e.g. another instance)
+  for (const roomId of signalMailboxes.keys()) {
+    if (!rooms.has(roomId)) closeSignalMailbox(roomId);
   }
   
   if (expiredCount > 0) {
-    console.log(`[CLEANUP] Removed ${expiredCount} expired rooms`);
+    log('info', 'cleanup.expired', { expired: expiredCount, rooms: rooms.size });
   }
   
-  // Enforce hard limit
+  // Enforce hard limit (e.g. after MAX_ROOMS was lowered)
   const roomCount = rooms.size;
   if (roomCount > MAX_ROOMS) {
-    const toRemove = roomCount - MAX_ROOMS;
-    console.warn(`[MEMORY] Room limit exceeded: ${roomCount} > ${MAX_ROOMS}, removing ${toRemove} oldest rooms`);
-    const sortedRooms = Array.from(rooms.entries())
-      .sort((a, b) => a[1].createdAt - b[1].createdAt);
-    for (let i = 0; i < toRemove && i < sortedRooms.length; i++) {
-      const [roomId] = sortedRooms[i];
-      rooms.delete(roomId);
-    }
-    console.log(`[MEMORY] Cleaned up to ${rooms.size} rooms`);
+    makeRoomSpace(0);
+    log('warn', 'rooms.over_limit', { before: roomCount, after: rooms.size, maxRooms: MAX_ROOMS });
   } else if (roomCount > MAX_ROOMS * 0.8) {
-    console.warn(`[MEMORY] Warning: ${roomCount} rooms (${Math.round(roomCount/MAX_ROOMS*100)}% of limit)`);
+    log('warn', 'rooms.near_limit', { rooms: roomCount, maxRooms: MAX_ROOMS, usage: Math.round(roomCount / MAX_ROOMS * 100) });
   }
 }, 60 * 1000);
 cleanupIntervals.push(roomCleanupInterval);
@@ -991,7 +4842,7 @@ const ipBlockCleanupInterval = setInterval(() => {
   for (const [ip, blockInfo] of blockedIPs.entries()) {
     if (now >= blockInfo.blockedUntil) {
       blockedIPs.delete(ip);
-      console.log(`[SECURITY] IP ${ip} block expired`);
+      log('info', 'ip.block_expired', { ip });
     }
   }
   
@@ -1000,16 +4851,38 @@ const ipBlockCleanupInterval = setInterval(() => {
   for (const ip of localhostIPs) {
     if (blockedIPs.has(ip)) {
       blockedIPs.delete(ip);
-      console.log(`[DEV] Cleared localhost block: ${ip}`);
+      log('info', 'ip.localhost_cleared', { ip });
     }
   }
 }, 60 * 1000);
 cleanupIntervals.push(ipBlockCleanupInterval);
 
+// Cleanup expired nonces
+const nonceCleanupInterval = setInterval(() => {
+  pruneNonces();
+}, 60 * 1000);
+cleanupIntervals.push(nonceCleanupInterval);
+
+// Keep event streams alive
+const eventHeartbeatInterval = setInterval(() => {
+  for (const client of eventClients) {
+    client.res.write(': heartbeat\n\n');
+  }
+}, EVENT_HEARTBEAT_INTERVAL);
+cleanupIntervals.push(eventHeartbeatInterval);
+
 // Cleanup function for testing
 function cleanup() {
   cleanupIntervals.forEach(interval => clearInterval(interval));
   cleanupIntervals.length = 0;
+  closeEventClients();
+  for (const ticket of matchTickets.values()) {
+    for (const wake of ticket.waiters) wake();
+  }
+  for (const roomId of signalMailboxes.keys()) closeSignalMailbox(roomId);
+  rooms.close();
+  archive.close();
+  playerStats.close();
 }
 
 // ============================================================================
@@ -1023,42 +4896,40 @@ if (process.env.NODE_ENV !== 'test' && require.main === module) {
       ? (process.env.DOMAIN || 'https://relay.crate.ink')
       : `http://localhost:${PORT}`;
     
-    console.log('='.repeat(60));
-    console.log('Production Gaming Tracker');
-    console.log('='.repeat(60));
-    console.log(`Server URL: ${serverUrl}`);
-    console.log(`Tracker ID: ${TRACKER_ID}`);
-    console.log(`Port: ${PORT}`);
-    console.log(`Announce Interval: ${ANNOUNCE_INTERVAL}s`);
-    console.log(`Min Interval: ${MIN_ANNOUNCE_INTERVAL}s`);
-    console.log(`Peer Timeout: ${PEER_TIMEOUT}s`);
-    console.log('='.repeat(60));
-    console.log('Rate Limiting:');
-    console.log(`  GET requests: ${RATE_LIMIT_MAX_REQUESTS}/min`);
-    console.log(`  POST requests: ${RATE_LIMIT_MAX_ANNOUNCES}/min`);
-    console.log(`  Localhost bypass: Enabled`);
-    console.log(`  Rate limit disabled: ${DISABLE_RATE_LIMIT ? 'Yes' : 'No'}`);
-    console.log('='.repeat(60));
-    console.log('Endpoints:');
-    console.log(`  GET  ${serverUrl}/           - Web UI or API info`);
-    console.log(`  GET  ${serverUrl}/health     - Health check`);
-    console.log(`  GET  ${serverUrl}/announce   - List rooms`);
-    console.log(`  POST ${serverUrl}/announce   - Announce room`);
-    console.log(`  GET  ${serverUrl}/scrape     - Statistics`);
-    console.log('='.repeat(60));
-    console.log('Security Features:');
-    console.log('  ✓ Security headers (XSS, clickjacking, MIME protection)');
-    console.log('  ✓ Trust proxy for accurate IP detection');
-    console.log('  ✓ Rate limiting with IP blocking');
-    console.log('  ✓ Replay attack prevention (nonce/timestamp)');
-    console.log('  ✓ Input validation and sanitization');
-    console.log('  ✓ Request size limits');
-    console.log('  ✓ Memory bounds and cleanup');
-    console.log('  ✓ Error handling without information leakage');
-    console.log('='.repeat(60));
-    console.log('Ready!');
+    // The route list is served by GET / (API info)
+    log('info', 'server.started', {
+      url: serverUrl,
+      trackerId: TRACKER_ID,
+      port: Number(PORT),
+      announceInterval: ANNOUNCE_INTERVAL,
+      minAnnounceInterval: MIN_ANNOUNCE_INTERVAL,
+      roomTtl: { waiting: ROOM_TTL_WAITING, active: ROOM_TTL_ACTIVE, finished: ROOM_TTL_FINISHED, protected: PROTECTED_ROOM_TTL, min: MIN_ROOM_TTL, max: MAX_ROOM_TTL },
+      maxRooms: MAX_ROOMS,
+      storage: rooms.driver,
+      storageFile: rooms.driver === 'file' ? STORAGE_FILE : null,
+      archiveFile: rooms.driver === 'file' ? ARCHIVE_FILE : null,
+      rateLimits: DISABLE_RATE_LIMIT ? null : {
+        requests: RATE_LIMIT_MAX_REQUESTS,
+        announces: RATE_LIMIT_MAX_ANNOUNCES,
+        heartbeats: RATE_LIMIT_MAX_HEARTBEATS,
+        signals: RATE_LIMIT_MAX_SIGNALS
+      },
+      blocklist: { permanentIps: BLOCKED_IPS.size, addresses: bannedAddresses.size, file: BLOCKLIST_FILE },
+      adminApi: Boolean(ADMIN_TOKEN),
+      metricsToken: Boolean(METRICS_TOKEN),
+      logLevel: LOG_LEVEL
+    });
   });
+  
+  // Flush storage on shutdown (Heroku sends SIGTERM before restarting a dyno)
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      log('info', 'server.stopping', { signal });
+      cleanup();
+      server.close(() => process.exit(0));
+    });
+  }
 }
 
 // Export for testing
-module.exports = { app, server, cleanup };
+module.exports = { app, server, cleanup, createRoomStore };
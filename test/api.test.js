@@ -6,19 +6,200 @@
  * - GET /announce (list rooms)
  * - POST /announce (create/update room)
  * - GET /scrape (statistics)
+ * 
+ * Runs against the in-memory store by default; set STORAGE_DRIVER=file
+ * (npm run test:file) to run the same suite against the file store.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+const { bls12_381: bls } = require('@noble/curves/bls12-381');
+
+const SIGNATURE_DST = 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_AUG_';
+
+/**
+ * Generate a BLS identity key pair (hex public key)
+ */
+function createIdentity() {
+  const secretKey = bls.utils.randomSecretKey();
+  const publicKey = Buffer.from(bls.longSignatures.getPublicKey(secretKey).toBytes()).toString('hex');
+  return { secretKey, publicKey };
+}
+
+/**
+ * JSON with sorted keys, as signed by clients
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Wrap a payload in a signed envelope (timestamp + nonce + AugSchemeMPL signature)
+ */
+function sign(data, identity, overrides = {}) {
+  const payload = {
+    ...data,
+    timestamp: Date.now(),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    ...overrides
+  };
+  const message = Buffer.concat([
+    Buffer.from(identity.publicKey, 'hex'),
+    Buffer.from(canonicalJSON(payload), 'utf8')
+  ]);
+  const signature = bls.longSignatures.sign(bls.longSignatures.hash(message, SIGNATURE_DST), identity.secretKey);
+  return {
+    ...payload,
+    signature: Buffer.from(bls.longSignatures.Signature.toBytes(signature)).toString('hex')
+  };
+}
+
+const BECH32M_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function bech32mPolymod(values) {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= generator[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+/**
+ * Deterministic 32-byte puzzle hash (hex) for a test seed
+ */
+function puzzleHash(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Bech32m-encode the puzzle hash for a test seed as a Chia address
+ */
+function chiaAddress(seed, prefix = 'xch') {
+  const words = [];
+  let accumulator = 0;
+  let bits = 0;
+  for (const byte of Buffer.from(puzzleHash(seed), 'hex')) {
+    accumulator = ((accumulator << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((accumulator >> bits) & 31);
+    }
+  }
+  if (bits > 0) words.push((accumulator << (5 - bits)) & 31);
+  const codes = [...prefix].map(char => char.charCodeAt(0));
+  const expanded = [...codes.map(code => code >> 5), 0, ...codes.map(code => code & 31)];
+  const polymod = bech32mPolymod([...expanded, ...words, 0, 0, 0, 0, 0, 0]) ^ 0x2bc830a3;
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => (polymod >>> (5 * (5 - i))) & 31);
+  return `${prefix}1${[...words, ...checksum].map(word => BECH32M_CHARSET[word]).join('')}`;
+}
+
+const owner = createIdentity();
+const ADMIN_TOKEN = 'test-admin-token';
+const FRONTEND_TOKEN = 'test-frontend-token';
+
+/**
+ * A waiting room owned by `identity`, with overrides applied on top
+ */
+function roomPayload(overrides = {}, identity = owner) {
+  return {
+    roomId: `room-${crypto.randomBytes(6).toString('hex')}`,
+    appBaseUrl: 'https://crate.ink',
+    gameType: 'tictactoe',
+    status: 'waiting',
+    player1Name: 'Host',
+    player1WalletAddress: chiaAddress('host'),
+    player1IdentityPublicKey: identity.publicKey,
+    player1PeerId: 'peer-host',
+    ...overrides
+  };
+}
+
+/**
+ * Announce roomPayload(overrides) to `target`, signed by `identity`
+ */
+function announceRoom(target, identity = owner, overrides = {}) {
+  return request(target).post('/announce').send(sign(roomPayload(overrides, identity), identity));
+}
+
+/**
+ * Announce a new room to the shared tracker; resolves to the announced
+ * payload and the response
+ */
+async function createRoom(overrides = {}, identity = owner) {
+  const room = roomPayload(overrides, identity);
+  const response = await announceRoom(app, identity, room).expect(200);
+  return { room, response };
+}
 
 let app;
 let server;
 let cleanup;
+let createRoomStore;
+
+const storageFile = path.join(os.tmpdir(), `tracker-test-${process.pid}-${Date.now()}.json`);
+
+/**
+ * Load a second tracker instance with extra env vars (restored once it is
+ * loaded) and its own storage file. close() stops it and removes its files.
+ */
+function loadTracker(env = {}) {
+  const instanceFile = env.STORAGE_FILE ||
+    path.join(os.tmpdir(), `tracker-test-${crypto.randomBytes(6).toString('hex')}.json`);
+  const saved = {};
+  for (const [name, value] of Object.entries({ ...env, STORAGE_FILE: instanceFile })) {
+    saved[name] = process.env[name];
+    process.env[name] = value;
+  }
+  let tracker;
+  try {
+    jest.isolateModules(() => {
+      tracker = require('../index.js');
+    });
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+  return {
+    ...tracker,
+    storageFile: instanceFile,
+    close() {
+      tracker.cleanup();
+      for (const suffix of ['.json', '-archive.json', '-players.json']) {
+        fs.rmSync(instanceFile.replace(/\.json$/, suffix), { force: true });
+      }
+    }
+  };
+}
 
 beforeAll(() => {
   // Set test environment
   process.env.NODE_ENV = 'test';
   process.env.PORT = '8767';
   process.env.DISABLE_RATE_LIMIT = 'true';
+  process.env.STORAGE_FILE = storageFile;
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+  process.env.FRONTEND_TOKENS = `other-frontend, ${FRONTEND_TOKEN}`;
   
   // Clear modules cache to get fresh instance
   delete require.cache[require.resolve('../index.js')];
@@ -28,6 +209,7 @@ beforeAll(() => {
   app = tracker.app;
   server = tracker.server;
   cleanup = tracker.cleanup;
+  createRoomStore = tracker.createRoomStore;
   
   // Start server on test port
   if (!server.listening) {
@@ -50,6 +232,13 @@ afterAll(async () => {
   delete process.env.NODE_ENV;
   delete process.env.PORT;
   delete process.env.DISABLE_RATE_LIMIT;
+  delete process.env.STORAGE_FILE;
+  delete process.env.ADMIN_TOKEN;
+  delete process.env.FRONTEND_TOKENS;
+  fs.rmSync(storageFile, { force: true });
+  for (const suffix of ['-archive.json', '-players.json']) {
+    fs.rmSync(storageFile.replace(/\.json$/, suffix), { force: true });
+  }
   
   // Clear module cache
   delete require.cache[require.resolve('../index.js')];
@@ -70,21 +259,12 @@ describe('Health Check', () => {
 });
 
 describe('POST /announce - Create Room', () => {
-  const validRoomData = {
-    roomId: 'test-room-123',
-    appBaseUrl: 'https://crate.ink',
-    public: true,
-    gameType: 'rockpaperscissors',
-    status: 'waiting',
-    player1Name: 'TestPlayer',
-    player1WalletAddress: 'xch1test1234567890123456789012345678901234567890',
-    player1PeerId: 'peer-test-123'
-  };
+  const validRoomData = roomPayload({ roomId: 'test-room-123', public: true, gameType: 'rockpaperscissors' });
 
   test('creates a new room with valid data', async () => {
     const response = await request(app)
       .post('/announce')
-      .send(validRoomData)
+      .send(sign(validRoomData, owner))
       .expect(200);
     
     expect(response.body).toHaveProperty('tracker id');
@@ -100,7 +280,7 @@ describe('POST /announce - Create Room', () => {
     
     const response = await request(app)
       .post('/announce')
-      .send(invalidData)
+      .send(sign(invalidData, owner))
       .expect(400);
     
     expect(response.body).toHaveProperty('failure reason');
@@ -116,7 +296,7 @@ describe('POST /announce - Create Room', () => {
     
     const response = await request(app)
       .post('/announce')
-      .send(invalidData)
+      .send(sign(invalidData, owner))
       .expect(400);
     
     expect(response.body['failure reason']).toContain('wallet address');
@@ -131,7 +311,7 @@ describe('POST /announce - Create Room', () => {
     
     const response = await request(app)
       .post('/announce')
-      .send(invalidData)
+      .send(sign(invalidData, owner))
       .expect(400);
     
     expect(response.body['failure reason']).toContain('appBaseUrl');
@@ -146,7 +326,7 @@ describe('POST /announce - Create Room', () => {
     
     const response = await request(app)
       .post('/announce')
-      .send(privateRoom)
+      .send(sign(privateRoom, owner))
       .expect(200);
     
     expect(response.body.room.public).toBe(false);
@@ -158,7 +338,7 @@ describe('POST /announce - Create Room', () => {
     // Create room
     const createResponse = await request(app)
       .post('/announce')
-      .send({ ...validRoomData, roomId })
+      .send(sign({ ...validRoomData, roomId }, owner))
       .expect(200);
     
     expect(createResponse.body.room.status).toBe('waiting');
@@ -169,13 +349,13 @@ describe('POST /announce - Create Room', () => {
       roomId,
       status: 'active',
       player2Name: 'Player2',
-      player2WalletAddress: 'xch1player2test123456789012345678901234567890',
+      player2WalletAddress: chiaAddress('player2'),
       player2PeerId: 'peer-test-456'
     };
     
     const updateResponse = await request(app)
       .post('/announce')
-      .send(updateData)
+      .send(sign(updateData, owner))
       .expect(200);
     
     expect(updateResponse.body.room.status).toBe('active');
@@ -185,166 +365,2942 @@ describe('POST /announce - Create Room', () => {
   });
 });
 
-describe('GET /announce - List Rooms', () => {
-  // Create test rooms before each test
-  const testRooms = [
-    {
-      roomId: `test-room-1-${Date.now()}`,
-      appBaseUrl: 'https://crate.ink',
-      public: true,
-      gameType: 'rockpaperscissors',
-      status: 'waiting',
-      player1Name: 'Player1',
-      player1WalletAddress: 'xch1test1111111111111111111111111111111111111111',
-      player1PeerId: 'peer-1',
-      wagerAmount: 1000000
-    },
-    {
-      roomId: `test-room-2-${Date.now()}`,
-      appBaseUrl: 'https://crate.ink',
-      public: true,
-      gameType: 'calpoker',
-      status: 'active',
-      player1Name: 'Player2',
-      player1WalletAddress: 'xch1test2222222222222222222222222222222222222222',
-      player1PeerId: 'peer-2',
-      wagerAmount: 5000000
-    },
-    {
-      roomId: `test-room-3-private-${Date.now()}`,
-      appBaseUrl: 'https://crate.ink',
-      public: false, // Private room
-      gameType: 'battleship',
-      status: 'waiting',
-      player1Name: 'Player3',
-      player1WalletAddress: 'xch1test3333333333333333333333333333333333333333',
-      player1PeerId: 'peer-3'
-    }
-  ];
+describe('POST /announce - Address and Key Validation', () => {
+  test('accepts a wallet address with its matching puzzle hash', async () => {
+    await announceRoom(app, owner, {
+      player1WalletPuzzleHash: `0x${puzzleHash('host')}`,
+      player1PublicKey: createIdentity().publicKey,
+      player1IdentityAddress: chiaAddress('keyholder-did', 'did:chia:')
+    }).expect(200);
+  });
 
-  beforeEach(async () => {
-    // Create test rooms
-    for (const room of testRooms) {
-      await request(app).post('/announce').send(room);
-    }
+  test('accepts testnet addresses', async () => {
+    await announceRoom(app, owner, { player1WalletAddress: chiaAddress('host', 'txch') }).expect(200);
+  });
+
+  test('rejects an address with a bad checksum', async () => {
+    const address = chiaAddress('host');
+    const tampered = address.slice(0, -1) + (address.endsWith('q') ? 'p' : 'q');
     
-    // Small delay to ensure rooms are processed
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const response = await announceRoom(app, owner, { player1WalletAddress: tampered }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('checksum mismatch');
   });
 
-  test('returns all public rooms by default', async () => {
-    const response = await request(app)
-      .get('/announce')
-      .expect(200);
+  test('rejects a puzzle hash that does not match the address', async () => {
+    const response = await announceRoom(app, owner, { player1WalletPuzzleHash: puzzleHash('someone-else') }).expect(400);
     
-    expect(response.body).toHaveProperty('rooms');
-    expect(Array.isArray(response.body.rooms)).toBe(true);
-    expect(response.body).toHaveProperty('total');
-    expect(response.body).toHaveProperty('offset');
-    expect(response.body).toHaveProperty('limit');
+    expect(response.body['failure reason']).toContain('player1WalletPuzzleHash does not match');
+  });
+
+  test('rejects malformed puzzle hashes and identity addresses', async () => {
+    const response = await announceRoom(app, owner, {
+      player1WalletPuzzleHash: 'abcd',
+      player1IdentityAddress: 'did:chia:1notreal'
+    }).expect(400);
     
-    // Should only return public rooms (public !== false)
-    response.body.rooms.forEach(room => {
-      expect(room.public).not.toBe(false);
-    });
+    expect(response.body['failure reason']).toContain('Invalid player1WalletPuzzleHash');
+    expect(response.body['failure reason']).toContain('Invalid player1IdentityAddress');
   });
 
-  test('filters by gameType', async () => {
+  test('rejects public keys that are not BLS G1 points', async () => {
+    const response = await announceRoom(app, owner, {
+      player1PublicKey: 'ff'.repeat(48),
+      player2PublicKey: owner.publicKey.slice(2)
+    }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('Invalid player1PublicKey');
+    expect(response.body['failure reason']).toContain('Invalid player2PublicKey');
+  });
+});
+
+describe('POST /announce - Room Ownership', () => {
+  test('rejects unsigned announcements', async () => {
     const response = await request(app)
-      .get('/announce?gameType=rockpaperscissors')
-      .expect(200);
+      .post('/announce')
+      .send(roomPayload({ roomId: 'unsigned-room' }))
+      .expect(401);
     
-    response.body.rooms.forEach(room => {
-      expect(room.gameType).toBe('rockpaperscissors');
-    });
+    expect(response.body['failure reason']).toContain('signature');
   });
 
-  test('filters by status', async () => {
+  test('requires player1IdentityPublicKey to create a room', async () => {
+    const data = roomPayload({ roomId: 'keyless-room' });
+    delete data.player1IdentityPublicKey;
+    
     const response = await request(app)
-      .get('/announce?status=waiting')
-      .expect(200);
+      .post('/announce')
+      .send(sign(data, owner))
+      .expect(400);
     
-    response.body.rooms.forEach(room => {
-      expect(room.status).toBe('waiting');
-    });
+    expect(response.body['failure reason']).toContain('player1IdentityPublicKey');
   });
 
-  test('includes private rooms when includePrivate=true', async () => {
+  test('rejects updates signed by a different key', async () => {
+    const { room } = await createRoom();
+    const intruder = createIdentity();
+    
     const response = await request(app)
-      .get('/announce?includePrivate=true')
-      .expect(200);
+      .post('/announce')
+      .send(sign({ ...room, player1IdentityPublicKey: undefined, status: 'cancelled' }, intruder))
+      .expect(401);
     
-    const hasPrivateRoom = response.body.rooms.some(room => room.public === false);
-    expect(hasPrivateRoom).toBe(true);
+    expect(response.body['failure reason']).toContain('Invalid signature');
   });
 
-  test('searches by player name', async () => {
+  test('rejects attempts to replace the owner key', async () => {
+    const { room } = await createRoom();
+    const intruder = createIdentity();
+    
     const response = await request(app)
-      .get('/announce?search=Player1')
-      .expect(200);
+      .post('/announce')
+      .send(sign({ ...room, player1IdentityPublicKey: intruder.publicKey }, intruder))
+      .expect(403);
     
-    const found = response.body.rooms.some(room => 
-      room.player1Name && room.player1Name.toLowerCase().includes('player1')
-    );
-    expect(found).toBe(true);
+    expect(response.body['failure reason']).toContain('cannot be changed');
   });
 
-  test('filters by wager range', async () => {
+  test('rejects tampered payloads', async () => {
+    const { room } = await createRoom();
+    const signed = sign({ ...room, wagerAmount: 1000 }, owner);
+    
+    await request(app)
+      .post('/announce')
+      .send({ ...signed, wagerAmount: 999999 })
+      .expect(401);
+  });
+
+  test('rejects replayed nonces', async () => {
+    const { room } = await createRoom();
+    const signed = sign({ ...room, status: 'cancelled' }, owner);
+    
+    await request(app).post('/announce').send(signed).expect(200);
     const response = await request(app)
-      .get('/announce?minWager=2000000&maxWager=10000000')
-      .expect(200);
+      .post('/announce')
+      .send(signed)
+      .expect(401);
     
-    response.body.rooms.forEach(room => {
-      const wager = room.wagerAmount || 0;
-      expect(wager).toBeGreaterThanOrEqual(2000000);
-      expect(wager).toBeLessThanOrEqual(10000000);
-    });
+    expect(response.body['failure reason']).toContain('Duplicate nonce');
   });
 
-  test('paginates results', async () => {
+  test('does not burn the nonce of a rejected announcement', async () => {
+    const { room } = await createRoom();
+    const signed = sign({ ...room, status: 'finished' }, owner);
+    
+    await request(app).post('/announce').send(signed).expect(409);
+    const response = await request(app).post('/announce').send(signed).expect(409);
+    
+    expect(response.body['failure reason']).toContain('Illegal status transition');
+  });
+
+  test('rejects stale timestamps', async () => {
+    const { room } = await createRoom();
+    
     const response = await request(app)
-      .get('/announce?offset=0&limit=1')
-      .expect(200);
+      .post('/announce')
+      .send(sign(room, owner, { timestamp: Date.now() - 60000 }))
+      .expect(401);
     
-    expect(response.body.rooms.length).toBeLessThanOrEqual(1);
-    expect(response.body).toHaveProperty('offset', 0);
-    expect(response.body).toHaveProperty('limit', 1);
-    expect(response.body).toHaveProperty('total');
+    expect(response.body['failure reason']).toContain('timestamp');
   });
+});
 
-  test('sorts by newest by default', async () => {
+describe('Replay Protection Capacity', () => {
+  // A second tracker instance that remembers at most two nonces per key
+  let small;
+  const realNow = Date.now;
+  let clockOffset = 0;
+
+  beforeAll(() => {
+    small = loadTracker({ MAX_NONCES_PER_KEY: '2' });
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffset);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    small.close();
+  });
+
+  function announce(signed) {
+    return request(small.app).post('/announce').send(signed);
+  }
+
+  test('refuses new nonces while full instead of forgetting live ones', async () => {
+    const room = roomPayload();
+    const first = sign(room, owner);
+    await announce(first).expect(200);
+    await announce(sign({ ...room, player1Name: 'Counted' }, owner)).expect(200);
+    
+    const full = await announce(sign(room, owner)).expect(401);
+    expect(full.body['failure reason']).toContain('Too many signed requests');
+    const replay = await announce(first).expect(401);
+    expect(replay.body['failure reason']).toContain('Duplicate nonce');
+    
+    // Other keys are not held up by a key at its limit
+    const other = createIdentity();
+    await announce(sign(roomPayload({}, other), other)).expect(200);
+    
+    // Nonces are kept as long as their timestamps can pass, then forgotten
+    clockOffset += 29 * 1000;
+    await announce(sign(room, owner)).expect(401);
+    expect((await announce(first).expect(401)).body['failure reason']).toContain('Duplicate nonce');
+    clockOffset += 2 * 1000;
+    await announce(sign(room, owner)).expect(200);
+  });
+});
+
+describe('POST /announce - Optimistic Concurrency', () => {
+  test('bumps the version on every update', async () => {
+    const { room, response: created } = await createRoom();
+    expect(created.body.room.version).toBe(1);
+    
     const response = await request(app)
-      .get('/announce')
+      .post('/announce')
+      .send(sign({ ...room, wagerAmount: 10, version: 1 }, owner))
       .expect(200);
     
-    if (response.body.rooms.length > 1) {
-      const first = response.body.rooms[0].createdAt;
-      const second = response.body.rooms[1].createdAt;
-      expect(first).toBeGreaterThanOrEqual(second);
-    }
+    expect(response.body.room.version).toBe(2);
   });
 
-  test('validates query parameters', async () => {
+  test('rejects a stale version with the current room', async () => {
+    const { room } = await createRoom();
+    await request(app).post('/announce').send(sign({ ...room, wagerAmount: 10, version: 1 }, owner)).expect(200);
+    
     const response = await request(app)
-      .get('/announce?limit=300') // Exceeds max of 200
+      .post('/announce')
+      .send(sign({ ...room, wagerAmount: 20, version: 1 }, owner))
+      .expect(409);
+    
+    expect(response.body['failure reason']).toContain('current version 2, expected 1');
+    expect(response.body.room.wagerAmount).toBe(10);
+    expect(response.body.room.player1PeerId).toBe(room.player1PeerId);
+  });
+
+  test('accepts the version as an If-Match header', async () => {
+    const { room } = await createRoom();
+    
+    await request(app)
+      .post('/announce')
+      .set('If-Match', '"2"')
+      .send(sign({ ...room, wagerAmount: 5 }, owner))
+      .expect(409);
+    await request(app)
+      .post('/announce')
+      .set('If-Match', '"1"')
+      .send(sign({ ...room, wagerAmount: 5 }, owner))
+      .expect(200);
+  });
+
+  test('rejects malformed or conflicting versions', async () => {
+    const { room } = await createRoom();
+    
+    await request(app).post('/announce').set('If-Match', 'abc').send(sign(room, owner)).expect(400);
+    await request(app).post('/announce').send(sign({ ...room, version: 0 }, owner)).expect(400);
+    const response = await request(app)
+      .post('/announce')
+      .set('If-Match', '"1"')
+      .send(sign({ ...room, version: 2 }, owner))
       .expect(400);
     
-    expect(response.body).toHaveProperty('failure reason');
+    expect(response.body['failure reason']).toContain('do not agree');
   });
-});
 
-describe('GET /scrape - Statistics', () => {
-  test('returns tracker statistics', async () => {
+  test('rejects a versioned update of a room that no longer exists', async () => {
+    const room = { ...(await createRoom()).room, roomId: 'versioned-missing' };
+    
     const response = await request(app)
-      .get('/scrape')
-      .expect(200);
+      .post('/announce')
+      .send(sign({ ...room, version: 3 }, owner))
+      .expect(409);
     
-    expect(response.body).toHaveProperty('tracker id');
-    expect(response.body).toHaveProperty('files');
-    expect(response.body.files).toHaveProperty('_total');
-    expect(response.body.files._total).toHaveProperty('complete');
-    expect(response.body.files).toHaveProperty('_by_game_type');
-    expect(response.body.files).toHaveProperty('_by_status');
+    expect(response.body.room).toBeNull();
+  });
+
+  test('keeps last-write-wins for clients that send no version', async () => {
+    const { room } = await createRoom();
+    
+    await request(app).post('/announce').send(sign({ ...room, wagerAmount: 1 }, owner)).expect(200);
+    const response = await request(app).post('/announce').send(sign({ ...room, wagerAmount: 2 }, owner)).expect(200);
+    
+    expect(response.body.room.version).toBe(3);
+  });
+});
+
+describe('POST /announce - Lifecycle Transitions', () => {
+  const channel = {
+    stateChannelCoinId: '0xcoin123',
+    totalLockedAmount: 2000
+  };
+  const player2 = {
+    player2Name: 'Opponent',
+    player2WalletAddress: chiaAddress('opponent'),
+    player2PeerId: 'peer-opponent'
+  };
+
+  // Clients re-announce their full current state, so changes accumulate
+  function update(room, changes) {
+    Object.assign(room, changes);
+    return request(app).post('/announce').send(sign(room, owner));
+  }
+
+  test('walks the full state channel lifecycle and records history', async () => {
+    const { room } = await createRoom({ stateChannelStatus: 'pending' });
+    
+    await update(room, { ...channel, stateChannelStatus: 'locked' }).expect(200);
+    await update(room, { ...player2, status: 'active', stateChannelStatus: 'active' }).expect(200);
+    await update(room, { stateChannelStatus: 'settling' }).expect(200);
+    await update(room, { stateChannelStatus: 'settled' }).expect(200);
+    const response = await update(room, { status: 'finished' }).expect(200);
+    
+    const history = response.body.room.transitionHistory
+      .filter(t => t.field === 'stateChannelStatus')
+      .map(t => t.to);
+    expect(history).toEqual(['pending', 'locked', 'active', 'settling', 'settled']);
+    expect(response.body.room.transitionHistory.filter(t => t.field === 'status').map(t => [t.from, t.to]))
+      .toEqual([[null, 'waiting'], ['waiting', 'active'], ['active', 'finished']]);
+  });
+
+  test('rejects leaving a final state channel status', async () => {
+    const { room } = await createRoom({ ...channel, stateChannelStatus: 'pending' });
+    await update(room, { stateChannelStatus: 'locked' }).expect(200);
+    await update(room, { stateChannelStatus: 'settling' }).expect(200);
+    await update(room, { stateChannelStatus: 'settled' }).expect(200);
+    
+    const response = await update(room, { stateChannelStatus: 'pending' }).expect(409);
+    
+    expect(response.body['failure reason']).toContain("'settled' -> 'pending'");
+  });
+
+  test('rejects skipping states', async () => {
+    const { room } = await createRoom({ stateChannelStatus: 'pending' });
+    
+    const response = await update(room, { ...channel, stateChannelStatus: 'settled' }).expect(409);
+    
+    expect(response.body['failure reason']).toContain('Illegal stateChannelStatus transition');
+  });
+
+  test('rejects clearing the state channel once it exists', async () => {
+    const { room } = await createRoom({ ...channel, stateChannelStatus: 'pending' });
+    
+    await update(room, { stateChannelStatus: null }).expect(409);
+  });
+
+  test('rejects rooms created with funds already locked', async () => {
+    const response = await announceRoom(app, owner, { ...channel, stateChannelStatus: 'locked' }).expect(400);
+    
+    expect(response.body['failure reason']).toContain("rooms cannot start as 'locked'");
+  });
+
+  test('requires a coin ID for an active state channel', async () => {
+    const { room } = await createRoom({ ...player2, status: 'active', stateChannelStatus: 'pending' });
+    
+    const response = await update(room, { stateChannelStatus: 'locked', totalLockedAmount: 2000 }).expect(409);
+    
+    expect(response.body['failure reason']).toContain('requires stateChannelCoinId');
+  });
+
+  test('requires player 2 for an active room', async () => {
+    const { room } = await createRoom();
+    
+    const response = await update(room, { status: 'active' }).expect(409);
+    
+    expect(response.body['failure reason']).toContain('requires player2WalletAddress');
+  });
+
+  test('rejects reopening a finished room', async () => {
+    const { room } = await createRoom({ ...player2, status: 'active' });
+    await update(room, { status: 'finished' }).expect(200);
+    
+    const response = await update(room, { status: 'waiting' }).expect(409);
+    
+    expect(response.body['failure reason']).toContain('final');
+  });
+
+  test('rejects rooms created in a final state', async () => {
+    const response = await announceRoom(app, owner, { status: 'finished' }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('cannot start');
+  });
+});
+
+describe('POST /announce - Balance Conservation', () => {
+  const player2 = {
+    player2Name: 'Opponent',
+    player2WalletAddress: chiaAddress('opponent'),
+    player2PeerId: 'peer-opponent'
+  };
+  const lockedChannel = {
+    ...player2,
+    status: 'active',
+    stateChannelCoinId: '0xcoin456',
+    stateChannelStatus: 'locked',
+    totalLockedAmount: 2000,
+    player1Balance: 1000,
+    player2Balance: 1000
+  };
+
+  // Channels open as pending and lock on the next announce
+  async function lock(room) {
+    await announceRoom(app, owner, { ...room, stateChannelStatus: 'pending' }).expect(200);
+    await announceRoom(app, owner, room).expect(200);
+  }
+
+  test('accepts balances that add up to the locked total', async () => {
+    await lock(roomPayload(lockedChannel));
+  });
+
+  test('rejects balances that do not add up to the locked total', async () => {
+    const response = await announceRoom(app, owner, { ...lockedChannel, player2Balance: 1500 }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('must equal totalLockedAmount');
+  });
+
+  test('rejects a single balance above the locked total', async () => {
+    const response = await announceRoom(app, owner, { ...lockedChannel, player1Balance: 5000, player2Balance: undefined }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('exceeds totalLockedAmount');
+  });
+
+  test('rejects balances without a locked total', async () => {
+    const response = await announceRoom(app, owner, { player1Balance: 1000 }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('require totalLockedAmount');
+  });
+
+  test('rejects a wager above either balance', async () => {
+    const response = await announceRoom(app, owner, { ...lockedChannel, player1Balance: 1500, player2Balance: 500, wagerAmount: 800 }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('wagerAmount (800) exceeds player2Balance (500)');
+  });
+
+  test('only lets balances move while the channel is active or settling', async () => {
+    const room = roomPayload(lockedChannel);
+    await lock(room);
+    
+    const locked = await announceRoom(app, owner, { ...room, player1Balance: 1500, player2Balance: 500 }).expect(409);
+    expect(locked.body['failure reason']).toContain('player1Balance can only change');
+    
+    await announceRoom(app, owner, { ...room, stateChannelStatus: 'active' }).expect(200);
+    await announceRoom(app, owner, { ...room, stateChannelStatus: 'active', player1Balance: 1500, player2Balance: 500 }).expect(200);
+  });
+});
+
+describe('POST /rooms/:roomId/join - Join Room', () => {
+  const guest = createIdentity();
+  const joinData = {
+    player2Name: 'Guest',
+    player2WalletAddress: chiaAddress('guest'),
+    player2IdentityPublicKey: guest.publicKey,
+    player2PeerId: 'peer-guest'
+  };
+
+  function join(roomId, data = joinData, identity = guest) {
+    return request(app)
+      .post(`/rooms/${roomId}/join`)
+      .send(sign({ ...data, roomId, action: 'join' }, identity));
+  }
+
+  test('fills the player 2 seat and activates the room', async () => {
+    const { room } = await createRoom();
+    
+    const response = await join(room.roomId).expect(200);
+    
+    expect(response.body.room.player2Name).toBe('Guest');
+    expect(response.body.room.player2PeerId).toBe('peer-guest');
+    expect(response.body.room.player2IdentityPublicKey).toBe(guest.publicKey);
+    expect(response.body.room.status).toBe('active');
+    expect(response.body.room.version).toBe(2);
+  });
+
+
+  test('does not let the owner replace player 2 once seated', async () => {
+    const { room } = await createRoom();
+    await join(room.roomId).expect(200);
+    const seated = { ...room, ...joinData, status: 'active' };
+    
+    for (const change of [
+      { player2WalletAddress: chiaAddress('impostor') },
+      { player2IdentityPublicKey: createIdentity().publicKey },
+      { player2Name: 'Impostor' },
+      { player2WalletAddress: null }
+    ]) {
+      const response = await request(app).post('/announce').send(sign({ ...seated, ...change }, owner)).expect(403);
+      expect(response.body['failure reason']).toContain('cannot be changed once player 2 has taken the seat');
+    }
+    
+    // Re-announcing the seat as it is, or a new peer ID after a reconnect, is fine
+    await request(app).post('/announce').send(sign(seated, owner)).expect(200);
+    const response = await request(app)
+      .post('/announce')
+      .send(sign({ ...seated, player2PeerId: 'peer-guest-2' }, owner))
+      .expect(200);
+    expect(response.body.room.player2WalletAddress).toBe(joinData.player2WalletAddress);
+  });
+  test('gives exactly one winner when two players race for the seat', async () => {
+    const { room } = await createRoom();
+    const rival = createIdentity();
+    
+    const responses = await Promise.all([
+      join(room.roomId),
+      join(room.roomId, { ...joinData, player2Name: 'Rival', player2IdentityPublicKey: rival.publicKey }, rival)
+    ]);
+    
+    const statuses = responses.map(r => r.status).sort();
+    expect(statuses).toEqual([200, 409]);
+  });
+
+  test('rejects joining a room that is not waiting', async () => {
+    const { room } = await createRoom();
+    await request(app).post('/announce').send(sign({ ...room, status: 'cancelled' }, owner)).expect(200);
+    
+    const response = await join(room.roomId).expect(409);
+    
+    expect(response.body['failure reason']).toContain('not waiting');
+  });
+
+  test('rejects unsigned join requests', async () => {
+    const { room } = await createRoom();
+    
+    const response = await request(app)
+      .post(`/rooms/${room.roomId}/join`)
+      .send(joinData)
+      .expect(401);
+    
+    expect(response.body['failure reason']).toContain('signature');
+  });
+
+  test('rejects missing player 2 fields', async () => {
+    const { room } = await createRoom();
+    
+    const response = await join(room.roomId, { ...joinData, player2PeerId: undefined }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('player2PeerId');
+  });
+
+  test('rejects a player 2 puzzle hash that does not match the wallet address', async () => {
+    const { room } = await createRoom();
+    
+    const response = await join(room.roomId, { ...joinData, player2WalletPuzzleHash: puzzleHash('host') }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('player2WalletPuzzleHash does not match');
+  });
+
+  test('returns 404 for unknown rooms', async () => {
+    await join('no-such-room').expect(404);
+  });
+
+  test('requires the invite token for private rooms', async () => {
+    const { room, response: created } = await createRoom({ public: false });
+    const inviteToken = created.body['invite token'];
+    expect(typeof inviteToken).toBe('string');
+    
+    await join(room.roomId).expect(404);
+    await join(room.roomId, { ...joinData, inviteToken: 'wrong-token' }).expect(404);
+    const response = await join(room.roomId, { ...joinData, inviteToken }).expect(200);
+    
+    expect(response.body.room).not.toHaveProperty('inviteToken');
+  });
+});
+
+describe('POST /rooms/:roomId/heartbeat - Keepalive', () => {
+  function heartbeat(roomId, identity = owner) {
+    return request(app)
+      .post(`/rooms/${roomId}/heartbeat`)
+      .send(sign({ roomId, action: 'heartbeat' }, identity));
+  }
+
+  test('refreshes updatedAt and reports time to expiry', async () => {
+    const { room, response: created } = await createRoom();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    
+    const response = await heartbeat(room.roomId).expect(200);
+    
+    expect(response.body.roomId).toBe(room.roomId);
+    expect(response.body.updatedAt).toBeGreaterThan(created.body.room.updatedAt);
+    expect(response.body['expires in']).toBeGreaterThan(0);
+    expect(response.body['expires at']).toBe(response.body.updatedAt + response.body['expires in'] * 1000);
+    
+    const stored = await request(app).get(`/rooms/${room.roomId}`).expect(200);
+    expect(stored.body.room.updatedAt).toBe(response.body.updatedAt);
+  });
+
+  test('does not change the room version', async () => {
+    const { room } = await createRoom();
+    
+    await heartbeat(room.roomId).expect(200);
+    const response = await request(app)
+      .post('/announce')
+      .send(sign({ ...room, version: 1 }, owner))
+      .expect(200);
+    
+    expect(response.body.room.version).toBe(2);
+  });
+
+  test('advances the change sequence so caches and cursors see the new updatedAt', async () => {
+    const { room } = await createRoom();
+    const before = await request(app).get('/announce').expect(200);
+    
+    const response = await heartbeat(room.roomId).expect(200);
+    
+    await request(app).get('/announce').set('If-None-Match', before.headers.etag).expect(200);
+    const delta = await request(app).get(`/announce?since=${before.body.seq}`).expect(200);
+    expect(delta.body.rooms.find(r => r.roomId === room.roomId).updatedAt).toBe(response.body.updatedAt);
+  });
+
+  test('requires the owner signature', async () => {
+    const { room } = await createRoom();
+    
+    const response = await heartbeat(room.roomId, createIdentity()).expect(401);
+    expect(response.body['failure reason']).toContain('Unauthorized heartbeat');
+    
+    await request(app)
+      .post(`/rooms/${room.roomId}/heartbeat`)
+      .send(sign({ roomId: 'some-other-room', action: 'heartbeat' }, owner))
+      .expect(401);
+  });
+
+  test('returns 404 for unknown rooms', async () => {
+    await heartbeat('no-such-room').expect(404);
+  });
+});
+
+describe('WebRTC Signaling', () => {
+  const guest = createIdentity();
+  const offer = { type: 'offer', sdp: 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\n' };
+
+  async function createMatchedRoom(overrides = {}) {
+    const { room, response: created } = await createRoom({ player1PeerId: 'peer-caller', ...overrides });
+    await request(app)
+      .post(`/rooms/${room.roomId}/join`)
+      .send(sign({
+        roomId: room.roomId,
+        action: 'join',
+        inviteToken: created.body['invite token'],
+        player2Name: 'Callee',
+        player2WalletAddress: chiaAddress('callee'),
+        player2IdentityPublicKey: guest.publicKey,
+        player2PeerId: 'peer-callee'
+      }, guest))
+      .expect(200);
+    return room;
+  }
+
+  function sendSignal(roomId, message, identity = owner) {
+    return request(app)
+      .post(`/rooms/${roomId}/signals`)
+      .send(sign({ ...message, roomId, action: 'signal', identityPublicKey: identity.publicKey }, identity));
+  }
+
+  function fetchSignals(roomId, identity, query = '') {
+    const proof = sign({ action: 'read', roomId }, identity);
+    return request(app)
+      .get(`/rooms/${roomId}/signals${query}`)
+      .set('X-Identity-Key', identity.publicKey)
+      .set('X-Timestamp', String(proof.timestamp))
+      .set('X-Nonce', proof.nonce)
+      .set('X-Signature', proof.signature);
+  }
+
+  test('delivers messages to the addressed peer only', async () => {
+    const room = await createMatchedRoom();
+    
+    const sent = await sendSignal(room.roomId, { to: 'peer-callee', type: 'offer', payload: offer }).expect(201);
+    expect(sent.body.seq).toBe(1);
+    
+    const inbox = await fetchSignals(room.roomId, guest).expect(200);
+    expect(inbox.body.messages).toHaveLength(1);
+    expect(inbox.body.messages[0]).toMatchObject({ seq: 1, from: 'peer-caller', to: 'peer-callee', type: 'offer', payload: offer });
+    expect(inbox.body['last seq']).toBe(1);
+    
+    const own = await fetchSignals(room.roomId, owner).expect(200);
+    expect(own.body.messages).toHaveLength(0);
+  });
+
+  test('returns only messages after the given sequence number', async () => {
+    const room = await createMatchedRoom();
+    await sendSignal(room.roomId, { to: 'peer-caller', type: 'answer', payload: { type: 'answer', sdp: 'v=0' } }, guest).expect(201);
+    await sendSignal(room.roomId, { to: 'peer-caller', type: 'candidate', payload: { candidate: 'candidate:1 1 udp 1 10.0.0.1 5000 typ host' } }, guest).expect(201);
+    
+    const response = await fetchSignals(room.roomId, owner, '?after=1').expect(200);
+    
+    expect(response.body.messages.map(message => message.type)).toEqual(['candidate']);
+    expect(response.body['last seq']).toBe(2);
+  });
+
+  test('long-polls until a message arrives', async () => {
+    const room = await createMatchedRoom();
+    
+    const pending = fetchSignals(room.roomId, guest, '?wait=5');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await sendSignal(room.roomId, { to: 'peer-callee', type: 'bye', payload: null }).expect(201);
+    const response = await pending.expect(200);
+    
+    expect(response.body.messages.map(message => message.type)).toEqual(['bye']);
+  });
+
+  test('requires a participant signature', async () => {
+    const room = await createMatchedRoom();
+    const stranger = createIdentity();
+    
+    const sent = await sendSignal(room.roomId, { to: 'peer-callee', type: 'offer', payload: offer }, stranger).expect(401);
+    expect(sent.body['failure reason']).toContain('not a participant');
+    await request(app)
+      .post(`/rooms/${room.roomId}/signals`)
+      .send({ to: 'peer-callee', type: 'offer', payload: offer, identityPublicKey: owner.publicKey })
+      .expect(401);
+    
+    await fetchSignals(room.roomId, stranger).expect(401);
+    await request(app).get(`/rooms/${room.roomId}/signals`).expect(401);
+  });
+
+  test('hides private rooms from non-participants', async () => {
+    const room = await createMatchedRoom({ public: false });
+    
+    await sendSignal(room.roomId, { to: 'peer-callee', type: 'offer', payload: offer }, createIdentity()).expect(404);
+    await request(app).get(`/rooms/${room.roomId}/signals`).expect(404);
+    await sendSignal(room.roomId, { to: 'peer-callee', type: 'offer', payload: offer }).expect(201);
+  });
+
+  test('only addresses the other player', async () => {
+    const room = await createMatchedRoom();
+    
+    const response = await sendSignal(room.roomId, { to: 'peer-someone', type: 'offer', payload: offer }).expect(409);
+    expect(response.body['failure reason']).toContain('peer-callee');
+    await sendSignal(room.roomId, { to: 'peer-caller', type: 'offer', payload: offer }).expect(409);
+  });
+
+  test('rejects messages before a second player joins', async () => {
+    const { room: { roomId } } = await createRoom({ player1PeerId: 'peer-caller' });
+    
+    const response = await sendSignal(roomId, { to: 'peer-callee', type: 'offer', payload: offer }).expect(409);
+    expect(response.body['failure reason']).toContain('No other player');
+  });
+
+  test('validates type and payload size', async () => {
+    const room = await createMatchedRoom();
+    
+    const badType = await sendSignal(room.roomId, { to: 'peer-callee', type: 'chat', payload: 'hi' }).expect(400);
+    expect(badType.body['failure reason']).toContain('Invalid type');
+    
+    const tooLarge = await sendSignal(room.roomId, { to: 'peer-callee', type: 'offer', payload: { sdp: 'x'.repeat(5000) } }).expect(400);
+    expect(tooLarge.body['failure reason']).toContain('payload too large');
+    
+    await fetchSignals(room.roomId, guest, '?wait=60').expect(400);
+    await fetchSignals(room.roomId, guest, '?after=abc').expect(400);
+  });
+
+  test('keeps only the latest messages per room', async () => {
+    const room = await createMatchedRoom();
+    for (let i = 0; i < 105; i++) {
+      await sendSignal(room.roomId, { to: 'peer-callee', type: 'candidate', payload: { index: i } }).expect(201);
+    }
+    
+    const response = await fetchSignals(room.roomId, guest).expect(200);
+    
+    expect(response.body.messages).toHaveLength(100);
+    expect(response.body.messages[0].seq).toBe(6);
+    expect(response.body['last seq']).toBe(105);
+  }, 30000);
+
+  test('drops the mailbox with the room', async () => {
+    const room = await createMatchedRoom();
+    await sendSignal(room.roomId, { to: 'peer-callee', type: 'offer', payload: offer }).expect(201);
+    
+    const pending = fetchSignals(room.roomId, owner, '?wait=5');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await request(app)
+      .delete(`/rooms/${room.roomId}`)
+      .send(sign({ roomId: room.roomId, action: 'delete' }, owner))
+      .expect(200);
+    
+    await pending.expect(404);
+    await fetchSignals(room.roomId, guest).expect(404);
+  });
+});
+
+describe('Room Expiry', () => {
+  const realNow = Date.now;
+  let clockOffset = 0;
+
+  beforeEach(() => {
+    clockOffset = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffset);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Move the clock forward for both the tracker and the signed envelopes
+  function advance(seconds) {
+    clockOffset += seconds * 1000;
+  }
+
+  const player2 = {
+    player2Name: 'Sand',
+    player2WalletAddress: chiaAddress('sand'),
+    player2PeerId: 'peer-sand'
+  };
+
+  test('expires waiting rooms after the waiting TTL', async () => {
+    const { room } = await createRoom();
+    
+    advance(590);
+    await request(app).get(`/rooms/${room.roomId}`).expect(200);
+    advance(20);
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+  });
+
+  test('gives active rooms the longer active TTL', async () => {
+    const { room } = await createRoom({ ...player2, status: 'active' });
+    
+    advance(1800);
+    await request(app).get(`/rooms/${room.roomId}`).expect(200);
+    advance(1810);
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+  });
+
+  const channel = { stateChannelCoinId: '0xcoin-expiry', totalLockedAmount: 2000 };
+
+  test('keeps funded games for the protected TTL, then archives them', async () => {
+    const { room } = await createRoom({ ...player2, ...channel, status: 'active', stateChannelStatus: 'pending' });
+    room.stateChannelStatus = 'locked';
+    await request(app).post('/announce').send(sign(room, owner)).expect(200);
+    
+    advance(12 * 3600);
+    await request(app).get('/scrape').expect(200);
+    await request(app).get(`/rooms/${room.roomId}`).expect(200);
+    
+    const response = await request(app)
+      .post(`/rooms/${room.roomId}/heartbeat`)
+      .send(sign({ roomId: room.roomId, action: 'heartbeat' }, owner))
+      .expect(200);
+    expect(response.body['expires in']).toBe(86400);
+    expect(response.body['expires at']).toBe(response.body.updatedAt + 86400 * 1000);
+    
+    advance(86400 + 10);
+    await request(app).get('/scrape').expect(200);
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+    
+    const history = await request(app)
+      .get(`/history?wallet=${player2.player2WalletAddress}&limit=200`)
+      .set('Authorization', `Bearer ${FRONTEND_TOKEN}`)
+      .expect(200);
+    expect(history.body.rooms.find(r => r.roomId === room.roomId).endReason).toBe('expired');
+  });
+
+  test('keeps finished games protected while their channel is still locked', async () => {
+    const { room } = await createRoom({ ...player2, ...channel, status: 'active', stateChannelStatus: 'pending' });
+    room.stateChannelStatus = 'locked';
+    await request(app).post('/announce').send(sign(room, owner)).expect(200);
+    room.status = 'finished';
+    await request(app).post('/announce').send(sign(room, owner)).expect(200);
+    
+    const response = await request(app)
+      .post(`/rooms/${room.roomId}/heartbeat`)
+      .send(sign({ roomId: room.roomId, action: 'heartbeat' }, owner))
+      .expect(200);
+    expect(response.body['expires in']).toBe(86400);
+    
+    advance(3600);
+    await request(app).get('/scrape').expect(200);
+    await request(app).get(`/rooms/${room.roomId}`).expect(200);
+    
+    // Once the channel settles the finished TTL applies again
+    for (const stateChannelStatus of ['settling', 'settled']) {
+      room.stateChannelStatus = stateChannelStatus;
+      await request(app).post('/announce').send(sign(room, owner)).expect(200);
+    }
+    advance(310);
+    await request(app).get('/scrape').expect(200);
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+  });
+
+  test('expires lobbies whose channel was never really funded', async () => {
+    const { room } = await createRoom({ ...channel, stateChannelStatus: 'pending' });
+    room.stateChannelStatus = 'locked';
+    await request(app).post('/announce').send(sign(room, owner)).expect(200);
+    
+    advance(610);
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+  });
+
+  test('honours a requested ttl', async () => {
+    const { room } = await createRoom({ ttl: 120 });
+    
+    const heartbeat = await request(app)
+      .post(`/rooms/${room.roomId}/heartbeat`)
+      .send(sign({ roomId: room.roomId, action: 'heartbeat' }, owner))
+      .expect(200);
+    expect(heartbeat.body['expires in']).toBe(120);
+    
+    advance(130);
+    await request(app).get('/announce').expect(200);
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+  });
+
+  test('rejects a requested ttl outside the server bounds', async () => {
+    for (const ttl of [10, 10 * 24 * 3600, 90.5, '600']) {
+      const response = await announceRoom(app, owner, { ttl }).expect(400);
+      expect(response.body['failure reason']).toContain('Invalid ttl');
+    }
+  });
+});
+
+describe('Room Limit', () => {
+  // A second tracker instance with room for three rooms
+  let limited;
+
+  beforeAll(() => {
+    limited = loadTracker({ MAX_ROOMS: '3' });
+  });
+
+  afterAll(() => {
+    limited.close();
+  });
+
+  const player2 = {
+    player2Name: 'Rival',
+    player2WalletAddress: chiaAddress('rival'),
+    player2PeerId: 'peer-rival'
+  };
+  const channel = { ...player2, status: 'active', stateChannelCoinId: '0xcoin-limit', totalLockedAmount: 2000 };
+
+  // A game in play whose channel went through pending to locked
+  async function fund(roomId) {
+    await announceRoom(limited.app, owner, { roomId, ...channel, stateChannelStatus: 'pending' }).expect(200);
+    await announceRoom(limited.app, owner, { roomId, ...channel, stateChannelStatus: 'locked' }).expect(200);
+  }
+
+  function roomIds() {
+    return request(limited.app).get('/announce?limit=100')
+      .then(response => response.body.rooms.map(room => room.roomId).sort());
+  }
+
+  test('evicts waiting lobbies before older games and never funded channels', async () => {
+    await fund('limit-funded');
+    await announceRoom(limited.app, owner, { roomId: 'limit-active', ...player2, status: 'active' }).expect(200);
+    await announceRoom(limited.app, owner, { roomId: 'limit-lobby' }).expect(200);
+    
+    await announceRoom(limited.app, owner, { roomId: 'limit-new-1' }).expect(200);
+    expect(await roomIds()).toEqual(['limit-active', 'limit-funded', 'limit-new-1']);
+    
+    await announceRoom(limited.app, owner, { roomId: 'limit-new-2' }).expect(200);
+    expect(await roomIds()).toEqual(['limit-active', 'limit-funded', 'limit-new-2']);
+    
+    // Updating an existing room never evicts
+    await announceRoom(limited.app, owner, { roomId: 'limit-new-2', player1Name: 'Renamed' }).expect(200);
+    expect(await roomIds()).toEqual(['limit-active', 'limit-funded', 'limit-new-2']);
+  });
+
+  test('evicts waiting lobbies that announce a locked channel', async () => {
+    const lobbyChannel = { stateChannelCoinId: '0xcoin-fake', totalLockedAmount: 2000 };
+    await announceRoom(limited.app, owner, { roomId: 'limit-fake', ...lobbyChannel, stateChannelStatus: 'pending' }).expect(200);
+    await announceRoom(limited.app, owner, { roomId: 'limit-fake', ...lobbyChannel, stateChannelStatus: 'locked' }).expect(200);
+    expect(await roomIds()).toEqual(['limit-active', 'limit-fake', 'limit-funded']);
+    
+    await announceRoom(limited.app, owner, { roomId: 'limit-new-3' }).expect(200);
+    expect(await roomIds()).toEqual(['limit-active', 'limit-funded', 'limit-new-3']);
+  });
+
+  test('refuses new rooms when every room has funds locked', async () => {
+    for (const roomId of ['limit-new-3', 'limit-active']) {
+      await request(limited.app)
+        .delete(`/rooms/${roomId}`)
+        .send(sign({ roomId, action: 'delete' }, owner))
+        .expect(200);
+    }
+    await fund('limit-funded-2');
+    await fund('limit-funded-3');
+    
+    const response = await announceRoom(limited.app, owner, { roomId: 'limit-refused' }).expect(503);
+    
+    expect(response.headers['retry-after']).toBeDefined();
+    expect(response.body['failure reason']).toContain('Tracker is full');
+    expect(await roomIds()).toEqual(['limit-funded', 'limit-funded-2', 'limit-funded-3']);
+  });
+
+  test('never evicts finished games whose channel is still locked', async () => {
+    await announceRoom(limited.app, owner, { roomId: 'limit-funded', ...channel, status: 'finished', stateChannelStatus: 'locked' }).expect(200);
+    
+    await announceRoom(limited.app, owner, { roomId: 'limit-refused' }).expect(503);
+    expect(await roomIds()).toEqual(['limit-funded', 'limit-funded-2', 'limit-funded-3']);
+  });
+});
+
+describe('Protected Room Caps', () => {
+  // A second tracker instance allowing two funded rooms per key, three per IP
+  let capped;
+
+  beforeAll(() => {
+    capped = loadTracker({ MAX_PROTECTED_ROOMS_PER_KEY: '2', MAX_PROTECTED_ROOMS_PER_IP: '3' });
+  });
+
+  afterAll(() => {
+    capped.close();
+  });
+
+  function announce(room, identity, ip = '198.51.100.20') {
+    return request(capped.app).post('/announce').set('X-Forwarded-For', ip).send(sign(room, identity));
+  }
+
+  // Opens a game with a pending channel; returns it ready to be locked
+  async function openGame(identity) {
+    const room = roomPayload({
+      status: 'active',
+      player2Name: 'Rival',
+      player2WalletAddress: chiaAddress('rival'),
+      player2PeerId: 'peer-rival',
+      stateChannelCoinId: '0xcoin-caps',
+      totalLockedAmount: 2000,
+      stateChannelStatus: 'pending'
+    }, identity);
+    await announce(room, identity).expect(200);
+    room.stateChannelStatus = 'locked';
+    return room;
+  }
+
+  test('caps funded rooms per identity key until one settles', async () => {
+    const hoarder = createIdentity();
+    const first = await openGame(hoarder);
+    await announce(first, hoarder).expect(200);
+    await announce(await openGame(hoarder), hoarder).expect(200);
+    
+    const third = await openGame(hoarder);
+    const response = await announce(third, hoarder).expect(429);
+    expect(response.body['failure reason']).toContain('Too many funded rooms for this identity key');
+    
+    await announce({ ...first, stateChannelStatus: 'settling' }, hoarder).expect(200);
+    await announce(third, hoarder).expect(200);
+  });
+
+  test('caps funded rooms per IP across identity keys', async () => {
+    const locked = createIdentity();
+    await announce(await openGame(locked), locked).expect(200);
+    
+    const other = createIdentity();
+    const room = await openGame(other);
+    const response = await announce(room, other).expect(429);
+    expect(response.body['failure reason']).toContain('Too many funded rooms from this IP');
+    
+    await announce(room, other, '198.51.100.21').expect(200);
+  });
+});
+
+describe('GET/DELETE /rooms/:roomId - Room Lookup and Close', () => {
+  function deleteRoom(roomId, identity = owner) {
+    return request(app)
+      .delete(`/rooms/${roomId}`)
+      .send(sign({ roomId, action: 'delete' }, identity));
+  }
+
+  test('returns a single room by ID', async () => {
+    const { room } = await createRoom();
+    
+    const response = await request(app)
+      .get(`/rooms/${room.roomId}`)
+      .expect(200);
+    
+    expect(response.body.room.roomId).toBe(room.roomId);
+    expect(response.body.room.player1Name).toBe('Host');
+  });
+
+  test('returns private rooms by ID only with the invite token', async () => {
+    const { room, response: created } = await createRoom({ public: false });
+    const inviteToken = created.body['invite token'];
+    
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+    await request(app).get(`/rooms/${room.roomId}?inviteToken=wrong-token`).expect(404);
+    await request(app).get(`/rooms/${room.roomId}?inviteToken=${inviteToken}`).expect(200);
+    const response = await request(app)
+      .get(`/rooms/${room.roomId}`)
+      .set('X-Invite-Token', inviteToken)
+      .expect(200);
+    
+    expect(response.body.room.public).toBe(false);
+    expect(response.body.room).not.toHaveProperty('inviteToken');
+  });
+
+  test('returns private rooms by ID to admins', async () => {
+    const { room } = await createRoom({ public: false });
+    
+    await request(app)
+      .get(`/rooms/${room.roomId}`)
+      .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+      .expect(200);
+  });
+
+  test('returns 404 for unknown rooms', async () => {
+    const response = await request(app)
+      .get('/rooms/no-such-room')
+      .expect(404);
+    
+    expect(response.body).toHaveProperty('failure reason');
+  });
+
+  test('owner can delete a room and it leaves the listing immediately', async () => {
+    const { room } = await createRoom();
+    
+    await deleteRoom(room.roomId).expect(200);
+    
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+    const listing = await request(app)
+      .get(`/announce?search=${room.roomId}`)
+      .expect(200);
+    expect(listing.body.rooms).toHaveLength(0);
+  });
+
+  test('cancelled lobbies leave the listing immediately', async () => {
+    const { room } = await createRoom();
+    
+    await announceRoom(app, owner, { ...room, status: 'cancelled' }).expect(200);
+    
+    for (const status of ['', '&status=all', '&status=waiting']) {
+      const listing = await request(app).get(`/announce?search=${room.roomId}${status}`).expect(200);
+      expect(listing.body.rooms).toHaveLength(0);
+    }
+    const cancelled = await request(app)
+      .get(`/announce?search=${room.roomId}&status=cancelled`)
+      .expect(200);
+    expect(cancelled.body.rooms.map(r => r.roomId)).toEqual([room.roomId]);
+    await request(app).get(`/rooms/${room.roomId}`).expect(200);
+  });
+
+  test('rejects deletes not signed by the owner', async () => {
+    const { room } = await createRoom();
+    
+    await deleteRoom(room.roomId, createIdentity()).expect(401);
+    await request(app)
+      .delete(`/rooms/${room.roomId}`)
+      .expect(401);
+    await request(app).get(`/rooms/${room.roomId}`).expect(200);
+  });
+
+  test('rejects signatures made for another action', async () => {
+    const { room } = await createRoom();
+    
+    await request(app)
+      .delete(`/rooms/${room.roomId}`)
+      .send(sign({ roomId: room.roomId, action: 'join' }, owner))
+      .expect(401);
+  });
+});
+
+describe('GET /announce - List Rooms', () => {
+  // Create test rooms before each test
+  const testRooms = [
+    roomPayload({
+      roomId: `test-room-1-${Date.now()}`,
+      public: true,
+      gameType: 'rockpaperscissors',
+      player1Name: 'Player1',
+      wagerAmount: 1000000
+    }),
+    roomPayload({
+      roomId: `test-room-2-${Date.now()}`,
+      public: true,
+      gameType: 'calpoker',
+      status: 'active',
+      player1Name: 'Player2',
+      player2Name: 'Opponent',
+      player2WalletAddress: chiaAddress('opponent'),
+      player2PeerId: 'peer-opponent',
+      wagerAmount: 5000000
+    }),
+    roomPayload({
+      roomId: `test-room-3-private-${Date.now()}`,
+      public: false, // Private room
+      gameType: 'battleship',
+      player1Name: 'Player3'
+    })
+  ];
+
+  beforeEach(async () => {
+    // Create test rooms
+    for (const room of testRooms) {
+      await announceRoom(app, owner, room);
+    }
+    
+    // Small delay to ensure rooms are processed
+    await new Promise(resolve => setTimeout(resolve, 100));
+  });
+
+  test('returns all public rooms by default', async () => {
+    const response = await request(app)
+      .get('/announce')
+      .expect(200);
+    
+    expect(response.body).toHaveProperty('rooms');
+    expect(Array.isArray(response.body.rooms)).toBe(true);
+    expect(response.body).toHaveProperty('total');
+    expect(response.body).toHaveProperty('offset');
+    expect(response.body).toHaveProperty('limit');
+    
+    // Should only return public rooms (public !== false)
+    response.body.rooms.forEach(room => {
+      expect(room.public).not.toBe(false);
+    });
+  });
+
+  test('filters by gameType', async () => {
+    const response = await request(app)
+      .get('/announce?gameType=rockpaperscissors')
+      .expect(200);
+    
+    response.body.rooms.forEach(room => {
+      expect(room.gameType).toBe('rockpaperscissors');
+    });
+  });
+
+  test('filters by status', async () => {
+    const response = await request(app)
+      .get('/announce?status=waiting')
+      .expect(200);
+    
+    response.body.rooms.forEach(room => {
+      expect(room.status).toBe('waiting');
+    });
+  });
+
+  test('includes private rooms when includePrivate=true', async () => {
+    const response = await request(app)
+      .get('/announce?includePrivate=true')
+      .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+      .expect(200);
+    
+    const hasPrivateRoom = response.body.rooms.some(room => room.public === false);
+    expect(hasPrivateRoom).toBe(true);
+  });
+
+  test('restricts includePrivate to admin callers', async () => {
+    await request(app)
+      .get('/announce?includePrivate=true')
+      .expect(401);
+    
+    const response = await request(app)
+      .get('/announce?includePrivate=1')
+      .set('Authorization', 'Bearer wrong-token')
+      .expect(401);
+    
+    expect(response.body['failure reason']).toContain('admin token');
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  test('searches by player name', async () => {
+    const response = await request(app)
+      .get('/announce?search=Player1')
+      .expect(200);
+    
+    const found = response.body.rooms.some(room => 
+      room.player1Name && room.player1Name.toLowerCase().includes('player1')
+    );
+    expect(found).toBe(true);
+  });
+
+  test('filters by wager range', async () => {
+    const response = await request(app)
+      .get('/announce?minWager=2000000&maxWager=10000000')
+      .expect(200);
+    
+    response.body.rooms.forEach(room => {
+      const wager = room.wagerAmount || 0;
+      expect(wager).toBeGreaterThanOrEqual(2000000);
+      expect(wager).toBeLessThanOrEqual(10000000);
+    });
+  });
+
+  test('paginates results', async () => {
+    const response = await request(app)
+      .get('/announce?offset=0&limit=1')
+      .expect(200);
+    
+    expect(response.body.rooms.length).toBeLessThanOrEqual(1);
+    expect(response.body).toHaveProperty('offset', 0);
+    expect(response.body).toHaveProperty('limit', 1);
+    expect(response.body).toHaveProperty('total');
+  });
+
+  test('sorts by newest by default', async () => {
+    const response = await request(app)
+      .get('/announce')
+      .expect(200);
+    
+    if (response.body.rooms.length > 1) {
+      const first = response.body.rooms[0].createdAt;
+      const second = response.body.rooms[1].createdAt;
+      expect(first).toBeGreaterThanOrEqual(second);
+    }
+  });
+
+  test('validates query parameters', async () => {
+    const response = await request(app)
+      .get('/announce?limit=300') // Exceeds max of 200
+      .expect(400);
+    
+    expect(response.body).toHaveProperty('failure reason');
+  });
+});
+
+describe('GET /announce - Cursor Pagination', () => {
+  const search = `cursor-${crypto.randomBytes(4).toString('hex')}`;
+
+  async function walk(sort, onPage = async () => {}) {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const query = `search=${search}&sort=${sort}&limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+      const response = await request(app).get(`/announce?${query}`).expect(200);
+      seen.push(...response.body.rooms.map(r => r.roomId));
+      cursor = response.body['next cursor'];
+      await onPage(pages++);
+    } while (cursor);
+    return seen;
+  }
+
+  beforeAll(async () => {
+    for (let i = 0; i < 5; i++) {
+      await createRoom({ roomId: `${search}-r${i}`, wagerAmount: (i % 2) * 1000, createdAt: 1700000000000 + i });
+    }
+  });
+
+  test('walks every room exactly once', async () => {
+    for (const sort of ['newest', 'oldest', 'wager_high', 'wager_low']) {
+      const seen = await walk(sort);
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+    }
+  });
+
+  test('does not skip or duplicate rooms created between pages', async () => {
+    const seen = await walk('oldest', async (page) => {
+      if (page === 0) {
+        // Sorts before the cursor, would shift every offset by one
+        await createRoom({ roomId: `${search}-early`, createdAt: 1600000000000 });
+      }
+    });
+    
+    expect(seen.filter(id => id.endsWith('-r0'))).toHaveLength(1);
+    expect(seen.filter(id => /-r\d$/.test(id))).toHaveLength(5);
+    expect(new Set(seen).size).toBe(seen.length);
+  });
+
+  test('offset responses also return a next cursor', async () => {
+    const response = await request(app)
+      .get(`/announce?search=${search}&limit=1&offset=0`)
+      .expect(200);
+    
+    expect(response.body.offset).toBe(0);
+    expect(typeof response.body['next cursor']).toBe('string');
+  });
+
+  test('rejects cursors issued for another sort', async () => {
+    const first = await request(app)
+      .get(`/announce?search=${search}&sort=wager_high&limit=1`)
+      .expect(200);
+    
+    const response = await request(app)
+      .get(`/announce?search=${search}&sort=oldest&cursor=${first.body['next cursor']}`)
+      .expect(400);
+    
+    expect(response.body['failure reason']).toContain('sort');
+  });
+
+  test('rejects malformed cursors', async () => {
+    await request(app)
+      .get('/announce?cursor=not-a-cursor')
+      .expect(400);
+  });
+
+  test('orders and pages wagers announced as strings by amount', async () => {
+    const prefix = `${search}-string`;
+    for (const [suffix, wagerAmount] of [['a', '5'], ['b', '40'], ['c', 300]]) {
+      await createRoom({ roomId: `${search}-string-${suffix}`, wagerAmount });
+    }
+    
+    const seen = [];
+    let cursor = null;
+    do {
+      const query = `search=${prefix}&sort=wager_high&limit=1${cursor ? `&cursor=${cursor}` : ''}`;
+      const response = await request(app).get(`/announce?${query}`).expect(200);
+      seen.push(...response.body.rooms.map(r => r.roomId));
+      cursor = response.body['next cursor'];
+    } while (cursor);
+    
+    expect(seen).toEqual([`${prefix}-c`, `${prefix}-b`, `${prefix}-a`]);
+  });
+});
+
+describe('GET /announce - Incremental Sync', () => {
+  test('returns the current change sequence', async () => {
+    const response = await request(app)
+      .get('/announce')
+      .expect(200);
+    
+    expect(typeof response.body.seq).toBe('number');
+  });
+
+  test('returns only rooms changed since the cursor', async () => {
+    const unchanged = roomPayload();
+    await announceRoom(app, owner, unchanged).expect(200);
+    const { body: { seq } } = await request(app).get('/announce').expect(200);
+    
+    const changed = roomPayload();
+    await announceRoom(app, owner, changed).expect(200);
+    
+    const response = await request(app)
+      .get(`/announce?since=${seq}`)
+      .expect(200);
+    
+    expect(response.body.since).toBe(seq);
+    expect(response.body.seq).toBeGreaterThan(seq);
+    expect(response.body.rooms.map(r => r.roomId)).toEqual([changed.roomId]);
+    expect(response.body.removed).toEqual([]);
+  });
+
+  test('reports deleted rooms as removed', async () => {
+    const room = roomPayload();
+    await announceRoom(app, owner, room).expect(200);
+    const { body: { seq } } = await request(app).get('/announce').expect(200);
+    
+    await request(app)
+      .delete(`/rooms/${room.roomId}`)
+      .send(sign({ roomId: room.roomId, action: 'delete' }, owner))
+      .expect(200);
+    
+    const response = await request(app)
+      .get(`/announce?since=${seq}`)
+      .expect(200);
+    
+    expect(response.body.removed).toContain(room.roomId);
+    expect(response.body.rooms.some(r => r.roomId === room.roomId)).toBe(false);
+  });
+
+  test('reports rooms that left the filters as removed', async () => {
+    const room = roomPayload();
+    await announceRoom(app, owner, room).expect(200);
+    const { body: { seq } } = await request(app).get('/announce?status=waiting').expect(200);
+    
+    await announceRoom(app, owner, { ...room, status: 'cancelled' }).expect(200);
+    
+    const response = await request(app)
+      .get(`/announce?status=waiting&since=${seq}`)
+      .expect(200);
+    
+    expect(response.body.removed).toContain(room.roomId);
+  });
+
+  test('does not leak private rooms in removed', async () => {
+    const room = roomPayload({ public: false });
+    const { body: { seq } } = await request(app).get('/announce').expect(200);
+    await announceRoom(app, owner, room).expect(200);
+    
+    const response = await request(app)
+      .get(`/announce?since=${seq}`)
+      .expect(200);
+    
+    expect(response.body.removed).not.toContain(room.roomId);
+    expect(response.body.rooms.some(r => r.roomId === room.roomId)).toBe(false);
+  });
+
+  test('returns the full list with reset for unknown cursors', async () => {
+    const response = await request(app)
+      .get('/announce?since=999999999')
+      .expect(200);
+    
+    expect(response.body.reset).toBe(true);
+    expect(response.body).toHaveProperty('offset');
+  });
+
+  test('returns 304 when nothing changed', async () => {
+    const first = await request(app)
+      .get('/announce')
+      .expect(200);
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers['last-modified']).toBeDefined();
+    
+    await request(app)
+      .get('/announce')
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+    
+    await announceRoom(app).expect(200);
+    
+    const changed = await request(app)
+      .get('/announce')
+      .set('If-None-Match', first.headers.etag)
+      .expect(200);
+    expect(changed.headers.etag).not.toBe(first.headers.etag);
+  });
+
+  test('resets cursors from before a restart instead of reusing sequences', async () => {
+    const first = loadTracker({ STORAGE_DRIVER: 'file' });
+    let second;
+    try {
+      const kept = roomPayload();
+      const deleted = roomPayload();
+      await announceRoom(first.app, owner, deleted).expect(200);
+      await announceRoom(first.app, owner, kept).expect(200);
+      const { body: { seq } } = await request(first.app).get('/announce').expect(200);
+      await request(first.app)
+        .delete(`/rooms/${deleted.roomId}`)
+        .send(sign({ roomId: deleted.roomId, action: 'delete' }, owner))
+        .expect(200);
+      const { body: { seq: lastSeq } } = await request(first.app).get('/announce').expect(200);
+      first.cleanup();
+
+      second = loadTracker({ STORAGE_DRIVER: 'file', STORAGE_FILE: first.storageFile });
+      const response = await request(second.app)
+        .get(`/announce?since=${seq}`)
+        .expect(200);
+
+      expect(response.body.reset).toBe(true);
+      expect(response.body.seq).toBe(lastSeq);
+      expect(response.body.rooms.map(r => r.roomId)).toEqual([kept.roomId]);
+
+      await announceRoom(second.app).expect(200);
+      const { body: { seq: nextSeq } } = await request(second.app).get('/announce').expect(200);
+      expect(nextSeq).toBeGreaterThan(lastSeq);
+    } finally {
+      (second || first).close();
+    }
+  });
+
+  test('validates since', async () => {
+    await request(app)
+      .get('/announce?since=-1')
+      .expect(400);
+  });
+});
+
+describe('Quick-Match', () => {
+  let appBaseUrl;
+
+  // Every test matches on its own appBaseUrl, so rooms and queued players
+  // from other tests never qualify
+  beforeEach(() => {
+    appBaseUrl = `https://match-${crypto.randomBytes(4).toString('hex')}.example`;
+  });
+
+  function player(seed) {
+    return {
+      identity: createIdentity(),
+      fields: {
+        playerName: seed,
+        playerWalletAddress: chiaAddress(`match-${seed}`),
+        playerPeerId: `peer-${seed}`
+      }
+    };
+  }
+
+  function requestMatch(who, overrides = {}) {
+    return request(app).post('/match').send(sign({
+      gameType: 'battleship',
+      appBaseUrl,
+      ...who.fields,
+      playerIdentityPublicKey: who.identity.publicKey,
+      ...overrides,
+      action: 'match'
+    }, who.identity));
+  }
+
+  async function createLobby(overrides = {}) {
+    const { room } = await createRoom({ appBaseUrl, gameType: 'battleship', wagerAmount: 500, ...overrides });
+    return room;
+  }
+
+  test('joins a compatible waiting room as player 2', async () => {
+    const lobby = await createLobby();
+    const alice = player('alice');
+    
+    const response = await requestMatch(alice, { minWager: 100, maxWager: 1000 }).expect(200);
+    
+    expect(response.body).toMatchObject({ status: 'matched', role: 'player2' });
+    expect(response.body.room).toMatchObject({
+      roomId: lobby.roomId,
+      status: 'active',
+      player2Name: 'alice',
+      player2IdentityPublicKey: alice.identity.publicKey
+    });
+    expect(response.body.room).not.toHaveProperty('inviteToken');
+  });
+
+  test('queues when no room fits the wager range, network or visibility', async () => {
+    await createLobby({ wagerAmount: 5000 });
+    await createLobby({ public: false, wagerAmount: 0 });
+    await createLobby({ wagerAmount: 0, player1WalletAddress: chiaAddress('lobbyist', 'txch') });
+    
+    const response = await requestMatch(player('bob'), { maxWager: 1000 }).expect(202);
+    
+    expect(response.body.status).toBe('queued');
+    expect(typeof response.body.ticket).toBe('string');
+    expect(response.body['poll interval']).toBeGreaterThan(0);
+  });
+
+  test('pairs two queued players in a new room owned by the first', async () => {
+    const carol = player('carol');
+    const dave = player('dave');
+    
+    const queued = await requestMatch(carol, { minWager: 200, maxWager: 800 }).expect(202);
+    const matched = await requestMatch(dave, { minWager: 100, maxWager: 500 }).expect(200);
+    
+    expect(matched.body.role).toBe('player2');
+    expect(matched.body.room).toMatchObject({
+      status: 'active',
+      public: true,
+      gameType: 'battleship',
+      gameOptions: { boardSize: 10 },
+      appBaseUrl,
+      wagerAmount: 200,
+      player1Name: 'carol',
+      player1IdentityPublicKey: carol.identity.publicKey,
+      player2Name: 'dave',
+      player2IdentityPublicKey: dave.identity.publicKey
+    });
+    
+    const polled = await request(app).get(`/match/${queued.body.ticket}`).expect(200);
+    expect(polled.body).toMatchObject({ status: 'matched', role: 'player1' });
+    expect(polled.body.room.roomId).toBe(matched.body.room.roomId);
+    
+    // The first player owns the room like any announced room
+    await request(app)
+      .post(`/rooms/${matched.body.room.roomId}/heartbeat`)
+      .send(sign({ roomId: matched.body.room.roomId, action: 'heartbeat' }, carol.identity))
+      .expect(200);
+  });
+
+  test('does not pair players whose wager ranges do not overlap', async () => {
+    await requestMatch(player('erin'), { minWager: 1000, maxWager: 2000 }).expect(202);
+    await requestMatch(player('frank'), { minWager: 0, maxWager: 999 }).expect(202);
+  });
+
+  test('long-polls until a partner arrives', async () => {
+    const queued = await requestMatch(player('grace')).expect(202);
+    
+    const poll = request(app).get(`/match/${queued.body.ticket}?wait=10`);
+    const pending = poll.then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await requestMatch(player('heidi')).expect(200);
+    const response = await pending;
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ status: 'matched', role: 'player1' });
+  });
+
+  test('finds lobbies announced after queueing on the next poll', async () => {
+    const queued = await requestMatch(player('ivan')).expect(202);
+    const lobby = await createLobby();
+    
+    const response = await request(app).get(`/match/${queued.body.ticket}`).expect(200);
+    
+    expect(response.body).toMatchObject({ status: 'matched', role: 'player2' });
+    expect(response.body.room.roomId).toBe(lobby.roomId);
+  });
+
+  test('leaves the queue', async () => {
+    const queued = await requestMatch(player('judy')).expect(202);
+    
+    await request(app).delete(`/match/${queued.body.ticket}`).expect(200);
+    await request(app).get(`/match/${queued.body.ticket}`).expect(404);
+  });
+
+  test('replaces a player\'s earlier queued ticket', async () => {
+    const mallory = player('mallory');
+    const first = await requestMatch(mallory).expect(202);
+    await requestMatch(mallory).expect(202);
+    
+    await request(app).get(`/match/${first.body.ticket}`).expect(404);
+  });
+
+  test('rejects invalid and unsigned requests', async () => {
+    const niaj = player('niaj');
+    
+    await requestMatch(niaj, { gameType: 'chess' }).expect(400);
+    await requestMatch(niaj, { minWager: 10, maxWager: 5 }).expect(400);
+    const outOfRange = await requestMatch(niaj, { maxWager: 2000000000000 }).expect(400);
+    expect(outOfRange.body['failure reason']).toContain('maxWager for battleship must be between 0 and 1000000000000 mojos');
+    await requestMatch(niaj, { network: 'testnet' }).expect(400);
+    await request(app).post('/match').send(sign({
+      gameType: 'battleship',
+      appBaseUrl,
+      ...niaj.fields,
+      playerIdentityPublicKey: niaj.identity.publicKey
+    }, createIdentity())).expect(401);
+    await request(app).get('/match/whatever?wait=99').expect(400);
+    await request(app).get('/match/no-such-ticket').expect(404);
+  });
+});
+
+describe('GET /history - Game Archive', () => {
+  const host = createIdentity();
+  const hostWallet = chiaAddress('archive-host');
+  const guestWallet = chiaAddress('archive-guest');
+  const player2 = {
+    player2Name: 'Visitor',
+    player2WalletAddress: guestWallet,
+    player2PeerId: 'peer-visitor'
+  };
+
+  async function playRoom(overrides = {}, final = { status: 'finished' }) {
+    const { room } = await createRoom({
+      gameType: 'calpoker',
+      status: 'active',
+      player1Name: 'Archivist',
+      player1WalletAddress: hostWallet,
+      ...player2,
+      ...overrides
+    }, host);
+    if (final) {
+      Object.assign(room, final);
+      await announceRoom(app, host, room).expect(200);
+    }
+    return room;
+  }
+
+  function historyHeaders(identity) {
+    const proof = sign({ action: 'history' }, identity);
+    return {
+      'X-Identity-Key': identity.publicKey,
+      'X-Timestamp': String(proof.timestamp),
+      'X-Nonce': proof.nonce,
+      'X-Signature': proof.signature
+    };
+  }
+
+  function frontendHistory(query) {
+    return request(app)
+      .get(`/history?${new URLSearchParams({ wallet: hostWallet, ...query })}`)
+      .set('Authorization', `Bearer ${FRONTEND_TOKEN}`);
+  }
+
+  test('archives finished games with balances and settlement link', async () => {
+    const room = await playRoom({}, { status: 'finished', stateChannelSpacescanUrl: 'https://www.spacescan.io/xch/coin/0xarchived' });
+    
+    const response = await request(app).get('/history?limit=200').set(historyHeaders(host)).expect(200);
+    
+    const entry = response.body.rooms.find(r => r.roomId === room.roomId);
+    expect(entry).toMatchObject({
+      status: 'finished',
+      endReason: 'finished',
+      player2WalletAddress: guestWallet,
+      stateChannelSpacescanUrl: 'https://www.spacescan.io/xch/coin/0xarchived'
+    });
+    expect(entry.endedAt).toBeGreaterThan(0);
+    
+    // Still in the live room list until it expires
+    await request(app).get(`/rooms/${room.roomId}`).expect(200);
+  });
+
+  test('archives games closed before finishing, but not empty lobbies', async () => {
+    const played = await playRoom({}, null);
+    const lobby = await playRoom({ status: 'waiting', player2Name: null, player2WalletAddress: null, player2PeerId: null }, null);
+    
+    for (const room of [played, lobby]) {
+      await request(app)
+        .delete(`/rooms/${room.roomId}`)
+        .send(sign({ roomId: room.roomId, action: 'delete' }, host))
+        .expect(200);
+    }
+    
+    const response = await request(app).get('/history?limit=200').set(historyHeaders(host)).expect(200);
+    const roomIds = response.body.rooms.map(r => r.roomId);
+    expect(roomIds).toContain(played.roomId);
+    expect(roomIds).not.toContain(lobby.roomId);
+    expect(response.body.rooms.find(r => r.roomId === played.roomId)).toMatchObject({ status: 'active', endReason: 'deleted' });
+  });
+
+  test('does not archive lobbies cancelled before a second player joined', async () => {
+    const lobby = await playRoom(
+      { status: 'waiting', player2Name: null, player2WalletAddress: null, player2PeerId: null },
+      { status: 'cancelled' }
+    );
+    await request(app)
+      .delete(`/rooms/${lobby.roomId}`)
+      .send(sign({ roomId: lobby.roomId, action: 'delete' }, host))
+      .expect(200);
+    
+    const response = await request(app).get('/history?limit=200').set(historyHeaders(host)).expect(200);
+    expect(response.body.rooms.map(r => r.roomId)).not.toContain(lobby.roomId);
+  });
+
+  test('keeps the first end reason when a finished room is closed', async () => {
+    const room = await playRoom();
+    await request(app)
+      .delete(`/rooms/${room.roomId}`)
+      .send(sign({ roomId: room.roomId, action: 'delete' }, host))
+      .expect(200);
+    
+    const response = await frontendHistory({ limit: '200' }).expect(200);
+    expect(response.body.rooms.filter(r => r.roomId === room.roomId)).toHaveLength(1);
+    expect(response.body.rooms.find(r => r.roomId === room.roomId).endReason).toBe('finished');
+  });
+
+  test('filters by game type and date range', async () => {
+    const before = Date.now();
+    const battleship = await playRoom({ gameType: 'battleship' });
+    const after = Date.now();
+    
+    const byGame = await frontendHistory({ gameType: 'battleship' }).expect(200);
+    expect(byGame.body.rooms.map(r => r.roomId)).toContain(battleship.roomId);
+    expect(byGame.body.rooms.every(r => r.gameType === 'battleship')).toBe(true);
+    
+    const inRange = await frontendHistory({ from: String(before), to: String(after) }).expect(200);
+    expect(inRange.body.rooms.map(r => r.roomId)).toEqual([battleship.roomId]);
+    
+    const earlier = await frontendHistory({ to: String(before - 1) }).expect(200);
+    expect(earlier.body.rooms.map(r => r.roomId)).not.toContain(battleship.roomId);
+  });
+
+  test('paginates newest first with cursors', async () => {
+    const all = await frontendHistory({ limit: '200' }).expect(200);
+    expect(all.body.total).toBeGreaterThanOrEqual(4);
+    const endedAt = all.body.rooms.map(r => r.endedAt);
+    expect(endedAt).toEqual([...endedAt].sort((a, b) => b - a));
+    
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await frontendHistory({ limit: '1', ...(cursor ? { cursor } : {}) }).expect(200);
+      seen.push(...page.body.rooms.map(r => r.archiveId));
+      cursor = page.body['next cursor'];
+    } while (cursor);
+    expect(seen).toEqual(all.body.rooms.map(r => r.archiveId));
+  });
+
+  test('shows anonymous callers only public games in the lobby view', async () => {
+    const publicRoom = await playRoom();
+    const privateRoom = await playRoom({ public: false });
+    
+    const response = await request(app).get('/history?gameType=calpoker&limit=200').expect(200);
+    const roomIds = response.body.rooms.map(r => r.roomId);
+    expect(roomIds).toContain(publicRoom.roomId);
+    expect(roomIds).not.toContain(privateRoom.roomId);
+    const entry = response.body.rooms.find(r => r.roomId === publicRoom.roomId);
+    expect(entry).toMatchObject({ endReason: 'finished', player1Name: 'Archivist' });
+    expect(entry).not.toHaveProperty('player1WalletAddress');
+    
+    // Players see their own private games
+    const own = await request(app).get('/history?limit=200').set(historyHeaders(host)).expect(200);
+    expect(own.body.rooms.map(r => r.roomId)).toContain(privateRoom.roomId);
+  });
+
+  test('limits identity proof to the prover\'s own games', async () => {
+    await playRoom();
+    
+    const response = await request(app).get('/history?limit=200').set(historyHeaders(createIdentity())).expect(200);
+    expect(response.body.rooms).toEqual([]);
+  });
+
+  test('requires proof or a frontend token for wallet and identity filters', async () => {
+    const response = await request(app).get(`/history?wallet=${hostWallet}`).expect(401);
+    expect(response.body['failure reason']).toContain('identity proof');
+    
+    const stale = historyHeaders(host);
+    await request(app).get('/history').set(stale).expect(200);
+    await request(app).get('/history').set(stale).expect(401);
+  });
+
+  test('rejects invalid queries', async () => {
+    for (const query of ['from=yesterday', 'from=10&to=5', 'limit=0', 'cursor=nonsense', 'gameType=chess', 'network=moon']) {
+      await request(app).get(`/history?${query}`).expect(400);
+    }
+    await request(app).get('/history?includePrivate=true').expect(401);
+  });
+});
+
+describe('Player Statistics', () => {
+  const winner = chiaAddress('stats-winner');
+  const loser = chiaAddress('stats-loser');
+  const challenger = createIdentity();
+  const champion = {
+    player1Name: 'Champion',
+    player1WalletAddress: chiaAddress('stats-wallet-1'),
+    player1IdentityAddress: winner
+  };
+  const player2 = {
+    player2Name: 'Challenger',
+    player2WalletAddress: chiaAddress('stats-wallet-2'),
+    player2IdentityAddress: loser,
+    player2PeerId: 'peer-challenger'
+  };
+
+  // Player 2 joins, both lock 1000 mojos, play to the given balances and finish
+  async function playGame(gameType, player1Balance, overrides = {}) {
+    const { room } = await createRoom({
+      gameType,
+      ...champion,
+      stateChannelCoinId: '0xcoin-stats',
+      stateChannelStatus: 'pending',
+      totalLockedAmount: 2000,
+      player1Balance: 1000,
+      player2Balance: 1000,
+      ...overrides
+    });
+    await request(app)
+      .post(`/rooms/${room.roomId}/join`)
+      .send(sign({ ...player2, player2IdentityPublicKey: challenger.publicKey, roomId: room.roomId, action: 'join' }, challenger))
+      .expect(200);
+    
+    const steps = [
+      { ...player2, status: 'active', stateChannelStatus: 'locked' },
+      { stateChannelStatus: 'active' },
+      { player1Balance, player2Balance: 2000 - player1Balance },
+      { stateChannelStatus: 'settling' },
+      { stateChannelStatus: 'settled', status: 'finished' }
+    ];
+    for (const step of steps) {
+      Object.assign(room, step);
+      await announceRoom(app, owner, room).expect(200);
+    }
+    return room;
+  }
+
+  test('records wins, losses and net mojos per game type', async () => {
+    await playGame('battleship', 1500);
+    await playGame('battleship', 1200);
+    await playGame('tictactoe', 700);
+    
+    const profile = await request(app).get(`/players/${winner}`).expect(200);
+    
+    expect(profile.body).toMatchObject({ player: winner, playerName: 'Champion', network: 'mainnet' });
+    expect(profile.body.games.battleship).toEqual({ played: 2, wins: 2, losses: 0, draws: 0, netMojos: 700 });
+    expect(profile.body.games.tictactoe).toEqual({ played: 1, wins: 0, losses: 1, draws: 0, netMojos: -300 });
+    expect(profile.body.totals).toEqual({ played: 3, wins: 2, losses: 1, draws: 0, netMojos: 400 });
+    
+    const opponent = await request(app).get(`/players/${loser}`).expect(200);
+    expect(opponent.body.games.battleship).toMatchObject({ wins: 0, losses: 2, netMojos: -700 });
+  });
+
+  test('counts a finished room once', async () => {
+    const room = await playGame('rockpaperscissors', 1000);
+    await announceRoom(app, owner, { ...room, player1Name: 'Champion' }).expect(200);
+    await request(app)
+      .delete(`/rooms/${room.roomId}`)
+      .send(sign({ roomId: room.roomId, action: 'delete' }, owner))
+      .expect(200);
+    
+    const profile = await request(app).get(`/players/${winner}`).expect(200);
+    expect(profile.body.games.rockpaperscissors).toEqual({ played: 1, wins: 0, losses: 0, draws: 1, netMojos: 0 });
+  });
+
+  test('credits players without an identity address by wallet', async () => {
+    const wallet = chiaAddress('stats-wallet-only');
+    await playGame('calpoker', 1100, { player1IdentityAddress: undefined, player1WalletAddress: wallet });
+    
+    const profile = await request(app).get(`/players/${wallet}`).expect(200);
+    expect(profile.body.games.calpoker).toMatchObject({ played: 1, wins: 1, netMojos: 100 });
+  });
+
+  test('ignores games whose player 2 never signed for the seat', async () => {
+    const standIn = chiaAddress('stats-stand-in');
+    const { room } = await createRoom({
+      gameType: 'battleship',
+      status: 'active',
+      ...champion,
+      player2Name: 'Stand-in',
+      player2WalletAddress: standIn,
+      player2PeerId: 'peer-stand-in'
+    });
+    await announceRoom(app, owner, { ...room, status: 'finished' }).expect(200);
+    
+    await request(app).get(`/players/${standIn}`).expect(404);
+    const profile = await request(app).get(`/players/${winner}`).expect(200);
+    expect(profile.body.games.battleship.played).toBe(2);
+  });
+
+  test('ranks players per game type', async () => {
+    const byWins = await request(app).get('/leaderboard?gameType=battleship&limit=200').expect(200);
+    
+    expect(byWins.body).toMatchObject({ gameType: 'battleship', sort: 'wins', network: 'mainnet' });
+    const ranks = byWins.body.players.map(p => p.rank);
+    expect(ranks).toEqual(ranks.map((_, i) => i + 1));
+    const champion = byWins.body.players.find(p => p.player === winner);
+    const challenger = byWins.body.players.find(p => p.player === loser);
+    expect(champion).toMatchObject({ playerName: 'Champion', played: 2, wins: 2, netMojos: 700 });
+    expect(champion.rank).toBeLessThan(challenger.rank);
+    
+    const byNet = await request(app).get('/leaderboard?sort=net&limit=200').expect(200);
+    const net = byNet.body.players.map(p => p.netMojos);
+    expect(net).toEqual([...net].sort((a, b) => b - a));
+    
+    const testnet = await request(app).get('/leaderboard?network=testnet').expect(200);
+    expect(testnet.body.players.find(p => p.player === winner)).toBeUndefined();
+  });
+
+  test('returns 404 for players without finished games and 400 for bad input', async () => {
+    await request(app).get(`/players/${chiaAddress('stats-nobody')}`).expect(404);
+    await request(app).get('/players/not-an-address').expect(400);
+    await request(app).get(`/players/${winner}?network=moon`).expect(400);
+    for (const query of ['gameType=chess', 'sort=losses', 'limit=0', 'network=all']) {
+      await request(app).get(`/leaderboard?${query}`).expect(400);
+    }
+  });
+});
+
+describe('Game Registry', () => {
+  test('GET /games lists game types with their metadata', async () => {
+    const response = await request(app)
+      .get('/games')
+      .expect(200);
+    
+    const battleship = response.body.games.find(game => game.gameType === 'battleship');
+    expect(battleship).toMatchObject({ displayName: 'Battleship', players: 2 });
+    expect(battleship).toHaveProperty('minWager');
+    expect(battleship).toHaveProperty('maxWager');
+    expect(battleship.optionsSchema.properties).toHaveProperty('boardSize');
+    expect(battleship).not.toHaveProperty('validateOptions');
+  });
+
+  test('stores game options with schema defaults filled in', async () => {
+    const room = roomPayload({ roomId: 'game-options-room', gameType: 'calpoker', gameOptions: { hands: 5 } });
+    
+    const response = await announceRoom(app, owner, room).expect(200);
+    
+    expect(response.body.room.gameOptions).toEqual({ rules: 'standard', hands: 5 });
+  });
+
+  test('rejects options that break the game schema', async () => {
+    const response = await announceRoom(app, owner, {
+      roomId: 'game-options-invalid',
+      gameType: 'battleship',
+      gameOptions: { boardSize: 30, fog: true }
+    }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('gameOptions.boardSize for battleship');
+    expect(response.body['failure reason']).toContain('additional properties');
+  });
+
+  test('rejects game options without a game type', async () => {
+    const response = await announceRoom(app, owner, {
+      roomId: 'game-options-no-game',
+      gameType: null,
+      gameOptions: { rounds: 3 }
+    }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('gameOptions require a gameType');
+  });
+
+  test('rejects game types missing from the registry', async () => {
+    const response = await announceRoom(app, owner, { roomId: 'game-unknown', gameType: 'chess' }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('Invalid gameType');
+  });
+
+  test('stores game types in the registry case', async () => {
+    const { room, response } = await createRoom({ gameType: 'CalPoker' });
+    expect(response.body.room.gameType).toBe('calpoker');
+    
+    const listing = await request(app)
+      .get(`/announce?gameType=calpoker&search=${room.roomId}`)
+      .expect(200);
+    expect(listing.body.rooms.map(r => r.roomId)).toEqual([room.roomId]);
+  });
+
+  test('keeps options across updates and resets them when the game changes', async () => {
+    const room = roomPayload({ roomId: 'game-options-switch', gameType: 'battleship', gameOptions: { boardSize: 8 } });
+    await announceRoom(app, owner, room).expect(200);
+    
+    const kept = await announceRoom(app, owner, { ...room, gameOptions: undefined, player1Name: 'Renamed' }).expect(200);
+    expect(kept.body.room.gameOptions).toEqual({ boardSize: 8 });
+    
+    const switched = await announceRoom(app, owner, { ...room, gameType: 'rockpaperscissors', gameOptions: undefined }).expect(200);
+    expect(switched.body.room.gameOptions).toEqual({ rounds: 3 });
+  });
+});
+
+describe('Custom Game Registry', () => {
+  // A second tracker instance (file driver) whose only game has wager limits
+  // and an option without a default. Its storage starts with a room whose
+  // game has since been removed from the registry.
+  let custom;
+  const customStorageFile = path.join(os.tmpdir(), `tracker-test-games-${process.pid}-${Date.now()}.json`);
+  const customGamesFile = customStorageFile.replace(/\.json$/, '-games.json');
+  const retired = roomPayload({
+    roomId: 'retired-game',
+    gameType: 'checkers',
+    gameOptions: {},
+    public: true,
+    network: 'mainnet',
+    version: 1,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  });
+
+  beforeAll(() => {
+    fs.writeFileSync(customGamesFile, JSON.stringify({
+      games: [{
+        gameType: 'duel',
+        displayName: 'Duel',
+        minWager: 100,
+        maxWager: 1000,
+        players: 2,
+        optionsSchema: {
+          type: 'object',
+          properties: { rounds: { type: 'integer', minimum: 1 } },
+          required: ['rounds'],
+          additionalProperties: false
+        }
+      }]
+    }));
+    fs.writeFileSync(customStorageFile, JSON.stringify({ savedAt: Date.now(), rooms: [retired] }));
+    custom = loadTracker({ GAMES_FILE: customGamesFile, STORAGE_DRIVER: 'file', STORAGE_FILE: customStorageFile });
+  });
+
+  afterAll(() => {
+    custom.close();
+    fs.rmSync(customGamesFile, { force: true });
+  });
+
+  function requestMatch(overrides = {}) {
+    const identity = createIdentity();
+    return request(custom.app).post('/match').send(sign({
+      gameType: 'duel',
+      appBaseUrl: 'https://crate.ink',
+      playerName: 'Duelist',
+      playerWalletAddress: chiaAddress('duelist'),
+      playerIdentityPublicKey: identity.publicKey,
+      playerPeerId: 'peer-duelist',
+      minWager: 100,
+      maxWager: 500,
+      ...overrides,
+      action: 'match'
+    }, identity));
+  }
+
+  test('rejects match requests for wagers outside the game limits', async () => {
+    const response = await requestMatch({ minWager: 50 }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('minWager for duel must be between 100 and 1000 mojos');
+  });
+
+  test('rejects match requests for games whose default options are invalid', async () => {
+    const response = await requestMatch().expect(400);
+    
+    expect(response.body['failure reason']).toContain("Invalid gameOptions for duel: must have required property 'rounds'");
+  });
+
+  test('rejects updates to rooms whose game left the registry', async () => {
+    const { gameType, gameOptions, public: isPublic, network, version, createdAt, updatedAt, ...update } = retired;
+    
+    const response = await request(custom.app)
+      .post('/announce')
+      .send(sign({ ...update, player1Name: 'Renamed' }, owner))
+      .expect(400);
+    
+    expect(response.body['failure reason']).toContain("Unknown gameType 'checkers'");
+    
+    // Switching to a registered game still works
+    await request(custom.app)
+      .post('/announce')
+      .send(sign({ ...update, gameType: 'duel', gameOptions: { rounds: 3 } }, owner))
+      .expect(200);
+  });
+});
+
+describe('Network Separation', () => {
+  const guest = createIdentity();
+  const testnetHost = { player1WalletAddress: chiaAddress('net-host', 'txch') };
+
+  function listIds(query) {
+    return request(app)
+      .get('/announce')
+      .query({ limit: 200, ...query })
+      .expect(200)
+      .then(response => response.body.rooms.map(r => r.roomId));
+  }
+
+  test('derives the network from the address prefix', async () => {
+    const mainnet = await createRoom();
+    const testnet = await createRoom(testnetHost);
+    
+    expect(mainnet.response.body.room.network).toBe('mainnet');
+    expect(testnet.response.body.room.network).toBe('testnet');
+  });
+
+  test('rejects rooms mixing mainnet and testnet addresses', async () => {
+    const response = await announceRoom(app, owner, {
+      ...testnetHost,
+      player1IdentityAddress: chiaAddress('net-host-identity', 'xch')
+    }).expect(400);
+    
+    expect(response.body['failure reason']).toContain('player1IdentityAddress is a mainnet address');
+  });
+
+  test('does not let an update move a room to another network', async () => {
+    const { room } = await createRoom();
+    
+    const response = await request(app)
+      .post('/announce')
+      .send(sign({ ...room, player1WalletAddress: chiaAddress('net-host', 'txch') }, owner))
+      .expect(400);
+    
+    expect(response.body['failure reason']).toContain('network cannot change');
+  });
+
+  test('lists mainnet rooms by default and filters by network', async () => {
+    const mainnet = await createRoom();
+    const testnet = await createRoom(testnetHost);
+    
+    const defaultIds = await listIds();
+    expect(defaultIds).toContain(mainnet.room.roomId);
+    expect(defaultIds).not.toContain(testnet.room.roomId);
+    
+    const testnetIds = await listIds({ network: 'testnet' });
+    expect(testnetIds).toContain(testnet.room.roomId);
+    expect(testnetIds).not.toContain(mainnet.room.roomId);
+    
+    const allIds = await listIds({ network: 'all' });
+    expect(allIds).toEqual(expect.arrayContaining([mainnet.room.roomId, testnet.room.roomId]));
+  });
+
+  test('rejects unknown networks', async () => {
+    const response = await request(app)
+      .get('/announce?network=devnet')
+      .expect(400);
+    
+    expect(response.body['failure reason']).toContain('network');
+  });
+
+  test('rejects a player 2 from another network', async () => {
+    const { room } = await createRoom();
+    const joinData = {
+      player2Name: 'NetGuest',
+      player2WalletAddress: chiaAddress('net-guest', 'txch'),
+      player2IdentityPublicKey: guest.publicKey,
+      player2PeerId: 'peer-net-guest'
+    };
+    
+    const response = await request(app)
+      .post(`/rooms/${room.roomId}/join`)
+      .send(sign({ ...joinData, roomId: room.roomId, action: 'join' }, guest))
+      .expect(400);
+    
+    expect(response.body['failure reason']).toContain('player2WalletAddress is a testnet address');
+  });
+
+  test('scrape counts only the requested network', async () => {
+    await createRoom(testnetHost);
+    
+    const all = await request(app).get('/scrape?network=all').expect(200);
+    const mainnet = await request(app).get('/scrape').expect(200);
+    const testnet = await request(app).get('/scrape?network=testnet').expect(200);
+    
+    expect(mainnet.body.network).toBe('mainnet');
+    expect(testnet.body.files._total.complete).toBeGreaterThan(0);
+    expect(mainnet.body.files._total.complete + testnet.body.files._total.complete)
+      .toBe(all.body.files._total.complete);
+  });
+});
+
+describe('Field Redaction', () => {
+  const guest = createIdentity();
+  const room = roomPayload({
+    roomId: 'redacted-room',
+    gameType: 'battleship',
+    player1Name: 'Secretive',
+    player1WalletAddress: chiaAddress('secretive'),
+    player1WalletPuzzleHash: puzzleHash('secretive'),
+    wagerAmount: 100
+  });
+
+  function participantHeaders(identity, overrides = {}) {
+    const proof = sign({ action: 'read', roomId: room.roomId }, identity, overrides);
+    return {
+      'X-Identity-Key': identity.publicKey,
+      'X-Timestamp': String(proof.timestamp),
+      'X-Nonce': proof.nonce,
+      'X-Signature': proof.signature
+    };
+  }
+
+  beforeAll(async () => {
+    const response = await announceRoom(app, owner, room).expect(200);
+    // The owner's own announce response is never redacted
+    expect(response.body.room.player1PeerId).toBe(room.player1PeerId);
+  });
+
+  test('lists only lobby fields to anonymous callers', async () => {
+    const response = await request(app)
+      .get('/announce?gameType=battleship&limit=200')
+      .expect(200);
+    
+    const listed = response.body.rooms.find(r => r.roomId === room.roomId);
+    expect(listed).toMatchObject({ player1Name: 'Secretive', wagerAmount: 100, status: 'waiting', openSeats: 1 });
+    for (const field of ['player1WalletAddress', 'player1WalletPuzzleHash', 'player1IdentityPublicKey', 'player1PeerId', 'transitionHistory']) {
+      expect(listed).not.toHaveProperty(field);
+    }
+  });
+
+  test('lists full details to authorised frontends', async () => {
+    const response = await request(app)
+      .get('/announce?gameType=battleship&limit=200')
+      .set('Authorization', `Bearer ${FRONTEND_TOKEN}`)
+      .expect(200);
+    
+    const listed = response.body.rooms.find(r => r.roomId === room.roomId);
+    expect(listed.player1PeerId).toBe(room.player1PeerId);
+    expect(listed).not.toHaveProperty('inviteToken');
+    expect(response.headers.vary).toContain('Authorization');
+  });
+
+  test('returns full details to participants with a signed read', async () => {
+    const anonymous = await request(app).get(`/rooms/${room.roomId}`).expect(200);
+    expect(anonymous.body.room).not.toHaveProperty('player1PeerId');
+    
+    const response = await request(app)
+      .get(`/rooms/${room.roomId}`)
+      .set(participantHeaders(owner))
+      .expect(200);
+    
+    expect(response.body.room.player1PeerId).toBe(room.player1PeerId);
+    expect(response.body.room.player1WalletPuzzleHash).toBe(room.player1WalletPuzzleHash);
+  });
+
+  test('rejects invalid participant proof', async () => {
+    const outsider = await request(app)
+      .get(`/rooms/${room.roomId}`)
+      .set(participantHeaders(guest))
+      .expect(401);
+    expect(outsider.body['failure reason']).toContain('not a participant');
+    
+    const stale = await request(app)
+      .get(`/rooms/${room.roomId}`)
+      .set(participantHeaders(owner, { timestamp: Date.now() - 120000 }))
+      .expect(401);
+    expect(stale.body['failure reason']).toContain('timestamp');
+  });
+});
+
+describe('GET /scrape - Statistics', () => {
+  test('returns tracker statistics', async () => {
+    const response = await request(app)
+      .get('/scrape')
+      .expect(200);
+    
+    expect(response.body).toHaveProperty('tracker id');
+    expect(response.body).toHaveProperty('files');
+    expect(response.body.files).toHaveProperty('_total');
+    expect(response.body.files._total).toHaveProperty('complete');
+    expect(response.body.files).toHaveProperty('_by_game_type');
+    expect(response.body.files).toHaveProperty('_by_status');
+  });
+});
+
+describe('GET /metrics - Prometheus Metrics', () => {
+  /**
+   * Value of a sample, e.g. metricValue(text, 'tracker_rooms', 'status="waiting",...'), or null
+   */
+  function metricValue(text, name, labels = '') {
+    const prefix = labels ? `${name}{${labels}} ` : `${name} `;
+    const line = text.split('\n').find(candidate => candidate.startsWith(prefix));
+    return line ? Number(line.slice(prefix.length)) : null;
+  }
+
+  async function scrape() {
+    const response = await request(app).get('/metrics').expect(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    return response.text;
+  }
+
+  // A calpoker game in play whose channel has just opened
+  const game = {
+    gameType: 'calpoker',
+    status: 'active',
+    player2Name: 'Meter',
+    player2WalletAddress: chiaAddress('meter'),
+    player2PeerId: 'peer-meter',
+    stateChannelStatus: 'pending'
+  };
+
+  test('counts requests and latency per route and status', async () => {
+    await request(app).get('/health').expect(200);
+    await request(app).get('/rooms/no-such-room').expect(404);
+    
+    const text = await scrape();
+    
+    expect(metricValue(text, 'tracker_http_requests_total', 'method="GET",route="/health",status="200"')).toBeGreaterThanOrEqual(1);
+    expect(metricValue(text, 'tracker_http_requests_total', 'method="GET",route="/rooms/:roomId",status="404"')).toBeGreaterThanOrEqual(1);
+    expect(metricValue(text, 'tracker_http_request_duration_seconds_count', 'method="GET",route="/health",status="200"')).toBeGreaterThanOrEqual(1);
+    expect(metricValue(text, 'tracker_http_request_duration_seconds_bucket', 'method="GET",route="/health",status="200",le="+Inf"')).toBeGreaterThanOrEqual(1);
+    expect(text).toContain('# TYPE tracker_http_request_duration_seconds histogram');
+    expect(text).not.toContain('no-such-room');
+  });
+
+  test('reports rooms by status, game type and state channel status, and locked mojos', async () => {
+    const { room } = await createRoom({ ...game, stateChannelCoinId: '0xcoin-metrics', totalLockedAmount: 2500 });
+    const before = metricValue(await scrape(), 'tracker_locked_mojos');
+    
+    await announceRoom(app, owner, { ...room, stateChannelStatus: 'locked' }).expect(200);
+    
+    const text = await scrape();
+    expect(metricValue(text, 'tracker_rooms', 'status="active",game_type="calpoker",state_channel_status="locked"')).toBeGreaterThanOrEqual(1);
+    expect(metricValue(text, 'tracker_locked_mojos')).toBe(before + 2500);
+    expect(metricValue(text, 'tracker_rooms_max')).toBe(100);
+  });
+
+  test('sums locked amounts announced as strings', async () => {
+    const { room } = await createRoom({
+      ...game,
+      stateChannelCoinId: '0xcoin-metrics-string',
+      totalLockedAmount: '1500',
+      player1Balance: '750',
+      player2Balance: '750'
+    });
+    const before = metricValue(await scrape(), 'tracker_locked_mojos');
+    
+    await announceRoom(app, owner, { ...room, stateChannelStatus: 'locked' }).expect(200);
+    
+    expect(metricValue(await scrape(), 'tracker_locked_mojos')).toBe(before + 1500);
+  });
+
+  test('keeps counting locked mojos once a game is finished', async () => {
+    const { room } = await createRoom({ ...game, stateChannelCoinId: '0xcoin-metrics-finished', totalLockedAmount: 3000 });
+    await announceRoom(app, owner, { ...room, stateChannelStatus: 'locked' }).expect(200);
+    const before = metricValue(await scrape(), 'tracker_locked_mojos');
+    
+    await announceRoom(app, owner, { ...room, status: 'finished', stateChannelStatus: 'locked' }).expect(200);
+    expect(metricValue(await scrape(), 'tracker_locked_mojos')).toBe(before);
+    
+    await announceRoom(app, owner, { ...room, status: 'finished', stateChannelStatus: 'settling' }).expect(200);
+    expect(metricValue(await scrape(), 'tracker_locked_mojos')).toBe(before - 3000);
+  });
+
+  test('counts removed rooms by reason', async () => {
+    const before = metricValue(await scrape(), 'tracker_rooms_removed_total', 'reason="deleted"');
+    const { room: { roomId } } = await createRoom();
+    
+    await request(app).delete(`/rooms/${roomId}`).send(sign({ roomId, action: 'delete' }, owner)).expect(200);
+    
+    const text = await scrape();
+    expect(metricValue(text, 'tracker_rooms_removed_total', 'reason="deleted"')).toBe(before + 1);
+    for (const reason of ['expired', 'evicted', 'removed']) {
+      expect(metricValue(text, 'tracker_rooms_removed_total', `reason="${reason}"`)).not.toBeNull();
+    }
+  });
+
+  test('reports security counters and the nonce set size', async () => {
+    const text = await scrape();
+    
+    for (const budget of ['requests', 'announces', 'heartbeats', 'signals']) {
+      expect(metricValue(text, 'tracker_rate_limit_rejections_total', `budget="${budget}"`)).toBe(0);
+    }
+    expect(metricValue(text, 'tracker_blocked_requests_total')).toBe(0);
+    expect(metricValue(text, 'tracker_ip_blocks_total', 'type="temporary"')).not.toBeNull();
+    expect(metricValue(text, 'tracker_blocked_ips', 'type="permanent"')).not.toBeNull();
+    expect(metricValue(text, 'tracker_used_nonces')).toBeGreaterThan(0);
+  });
+});
+
+describe('GET /events - Real-time Feed', () => {
+  const streams = [];
+
+  /**
+   * Open an SSE stream and collect parsed messages
+   */
+  function openStream(query = '', headers = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.get({ host: '127.0.0.1', port: 8767, path: `/events${query}`, headers }, (res) => {
+        const stream = { res, req, messages: [], buffer: '' };
+        streams.push(stream);
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          stream.buffer += chunk;
+          const blocks = stream.buffer.split('\n\n');
+          stream.buffer = blocks.pop();
+          for (const block of blocks) {
+            const id = block.match(/^id: (\d+)$/m);
+            const data = block.match(/^data: (.*)$/m);
+            if (data) {
+              stream.messages.push({ id: id ? parseInt(id[1]) : null, ...JSON.parse(data[1]) });
+            }
+          }
+        });
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async function waitFor(stream, predicate) {
+    for (let i = 0; i < 50; i++) {
+      const message = stream.messages.find(predicate);
+      if (message) return message;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for event');
+  }
+
+  afterEach(() => {
+    for (const stream of streams.splice(0)) {
+      stream.req.destroy();
+    }
+  });
+
+  test('streams created, updated and deleted events', async () => {
+    const stream = await openStream();
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toContain('text/event-stream');
+    
+    const room = roomPayload();
+    await announceRoom(app, owner, room).expect(200);
+    await announceRoom(app, owner, { ...room, wagerAmount: 500 }).expect(200);
+    await request(app)
+      .delete(`/rooms/${room.roomId}`)
+      .send(sign({ roomId: room.roomId, action: 'delete' }, owner))
+      .expect(200);
+    
+    const created = await waitFor(stream, m => m.roomId === room.roomId && m.type === 'created');
+    const updated = await waitFor(stream, m => m.roomId === room.roomId && m.type === 'updated');
+    const deleted = await waitFor(stream, m => m.roomId === room.roomId && m.type === 'deleted');
+    expect(updated.room.wagerAmount).toBe(500);
+    expect(created.id).toBeLessThan(updated.id);
+    expect(updated.id).toBeLessThan(deleted.id);
+  });
+
+  test('applies gameType and private filters', async () => {
+    const stream = await openStream('?gameType=battleship');
+    
+    const other = roomPayload({ gameType: 'tictactoe' });
+    const hidden = roomPayload({ gameType: 'battleship', public: false });
+    const match = roomPayload({ gameType: 'battleship' });
+    for (const room of [other, hidden, match]) {
+      await announceRoom(app, owner, room).expect(200);
+    }
+    
+    await waitFor(stream, m => m.roomId === match.roomId);
+    expect(stream.messages.some(m => m.roomId === other.roomId)).toBe(false);
+    expect(stream.messages.some(m => m.roomId === hidden.roomId)).toBe(false);
+  });
+
+  test('redacts rooms unless the stream is authorised', async () => {
+    const anonymous = await openStream();
+    const frontend = await openStream('', { Authorization: `Bearer ${FRONTEND_TOKEN}` });
+    const room = roomPayload();
+    await announceRoom(app, owner, room).expect(200);
+    
+    const redacted = await waitFor(anonymous, m => m.roomId === room.roomId);
+    const full = await waitFor(frontend, m => m.roomId === room.roomId);
+    expect(redacted.room).not.toHaveProperty('player1PeerId');
+    expect(full.room.player1PeerId).toBe(room.player1PeerId);
+  });
+
+  test('tells clients when a room leaves their status filter', async () => {
+    const stream = await openStream('?status=waiting');
+    const room = roomPayload();
+    
+    await announceRoom(app, owner, room).expect(200);
+    await announceRoom(app, owner, { ...room, status: 'cancelled' }).expect(200);
+    
+    const updated = await waitFor(stream, m => m.roomId === room.roomId && m.type === 'updated');
+    expect(updated.room.status).toBe('cancelled');
+  });
+
+  test('resumes from Last-Event-ID', async () => {
+    const first = await openStream();
+    const room = roomPayload();
+    await announceRoom(app, owner, room).expect(200);
+    const created = await waitFor(first, m => m.roomId === room.roomId);
+    first.req.destroy();
+    
+    // Missed while disconnected
+    await announceRoom(app, owner, { ...room, wagerAmount: 42 }).expect(200);
+    
+    const resumed = await openStream('', { 'Last-Event-ID': String(created.id) });
+    const missed = await waitFor(resumed, m => m.roomId === room.roomId && m.type === 'updated');
+    expect(missed.room.wagerAmount).toBe(42);
+    expect(resumed.messages.some(m => m.id === created.id)).toBe(false);
+  });
+
+  test('sends a reset when the resume point is unknown', async () => {
+    const stream = await openStream('?lastEventId=999999999');
+    
+    await waitFor(stream, m => m.type === 'reset');
+  });
+
+  test('rejects invalid lastEventId', async () => {
+    await request(app)
+      .get('/events?lastEventId=abc')
+      .expect(400);
+  });
+
+  test('restricts includePrivate to admin callers', async () => {
+    await request(app)
+      .get('/events?includePrivate=true')
+      .expect(401);
+    
+    const stream = await openStream('?includePrivate=true', { Authorization: `Bearer ${ADMIN_TOKEN}` });
+    const hidden = roomPayload({ public: false });
+    await announceRoom(app, owner, hidden).expect(200);
+    
+    await waitFor(stream, m => m.roomId === hidden.roomId);
+  });
+});
+
+describe('Admin API', () => {
+  const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+  function listed(roomId) {
+    return request(app).get(`/announce?search=${roomId}`)
+      .then(response => response.body.rooms.map(room => room.roomId).includes(roomId));
+  }
+
+  test('requires the admin token', async () => {
+    await request(app).get('/admin/blocks').expect(401);
+    await request(app).get('/admin/rate-limits').set('Authorization', `Bearer ${FRONTEND_TOKEN}`).expect(401);
+    const response = await request(app).post('/admin/blocks').send({ ip: '192.0.2.1' }).expect(401);
+    
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    const blocks = await request(app).get('/admin/blocks').set(admin).expect(200);
+    expect(blocks.body.permanent).not.toContain('192.0.2.1');
+  });
+
+  test('adds, lists and lifts permanent and temporary IP blocks', async () => {
+    await request(app).post('/admin/blocks').set(admin).send({ ip: '192.0.2.10' }).expect(201);
+    const temporary = await request(app).post('/admin/blocks').set(admin)
+      .send({ ip: '2001:db8::10', duration: 600, reason: 'Spamming lobbies' })
+      .expect(201);
+    expect(temporary.body.permanent).toBe(false);
+    expect(temporary.body.blockedUntil).toBeGreaterThan(Date.now());
+    
+    let blocks = await request(app).get('/admin/blocks').set(admin).expect(200);
+    expect(blocks.body.permanent).toContain('192.0.2.10');
+    const entry = blocks.body.temporary.find(block => block.ip === '2001:db8::10');
+    expect(entry.reason).toBe('Spamming lobbies');
+    expect(entry['expires in']).toBeLessThanOrEqual(600);
+    
+    await request(app).delete('/admin/blocks/192.0.2.10').set(admin).expect(200);
+    await request(app).delete('/admin/blocks/2001:db8::10').set(admin).expect(200);
+    await request(app).delete('/admin/blocks/192.0.2.10').set(admin).expect(404);
+    blocks = await request(app).get('/admin/blocks').set(admin).expect(200);
+    expect(blocks.body.permanent).not.toContain('192.0.2.10');
+    expect(blocks.body.temporary.map(block => block.ip)).not.toContain('2001:db8::10');
+  });
+
+  test('validates block requests', async () => {
+    await request(app).post('/admin/blocks').set(admin).send({ ip: 'not-an-ip' }).expect(400);
+    await request(app).post('/admin/blocks').set(admin).send({ ip: '127.0.0.1' }).expect(400);
+    await request(app).post('/admin/blocks').set(admin).send({ ip: '192.0.2.11', duration: -5 }).expect(400);
+  });
+
+  test('reports rate limit state and limits', async () => {
+    const response = await request(app).get('/admin/rate-limits').set(admin).expect(200);
+    
+    expect(response.body.window).toBe(60);
+    expect(response.body.limits).toMatchObject({ requests: 120, announces: 20, heartbeats: 60, signals: 120 });
+    expect(response.body.disabled).toBe(true);
+    expect(Array.isArray(response.body.clients)).toBe(true);
+  });
+
+  test('bans addresses from announcing and joining until unbanned', async () => {
+    const banned = chiaAddress('banned-player');
+    await request(app).post('/admin/bans').set(admin).send({ address: banned }).expect(201);
+    await request(app).post('/admin/bans').set(admin).send({ address: 'xch1nonsense' }).expect(400);
+    
+    const response = await announceRoom(app, owner, { player1WalletAddress: banned }).expect(403);
+    expect(response.body['failure reason']).toContain('banned');
+    
+    const { room } = await createRoom();
+    const guest = createIdentity();
+    await request(app)
+      .post(`/rooms/${room.roomId}/join`)
+      .send(sign({
+        roomId: room.roomId,
+        action: 'join',
+        player2Name: 'Banned',
+        player2WalletAddress: banned,
+        player2IdentityPublicKey: guest.publicKey,
+        player2PeerId: 'peer-banned'
+      }, guest))
+      .expect(403);
+    
+    const blocks = await request(app).get('/admin/blocks').set(admin).expect(200);
+    expect(blocks.body.addresses).toContain(banned);
+    
+    await request(app).delete(`/admin/bans/${banned}`).set(admin).expect(200);
+    await announceRoom(app, owner, { player1WalletAddress: banned }).expect(200);
+  });
+
+  test('force-removes rooms, funded channels included', async () => {
+    const { room } = await createRoom({
+      status: 'active',
+      player2Name: 'Rival',
+      player2WalletAddress: chiaAddress('rival'),
+      player2PeerId: 'peer-rival',
+      stateChannelCoinId: '0xcoin-admin',
+      totalLockedAmount: 2000,
+      stateChannelStatus: 'pending'
+    });
+    await announceRoom(app, owner, { ...room, stateChannelStatus: 'locked' }).expect(200);
+    
+    await request(app).delete(`/admin/rooms/${room.roomId}`).expect(401);
+    await request(app).delete(`/admin/rooms/${room.roomId}`).set(admin).expect(200);
+    
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+    await request(app).delete(`/admin/rooms/${room.roomId}`).set(admin).expect(404);
+  });
+
+  test('hides rooms from the lobby until unhidden', async () => {
+    const { room } = await createRoom();
+    expect(await listed(room.roomId)).toBe(true);
+    
+    const hidden = await request(app).post(`/admin/rooms/${room.roomId}/hide`).set(admin).expect(200);
+    expect(hidden.body.room.hidden).toBe(true);
+    expect(await listed(room.roomId)).toBe(false);
+    await request(app).get(`/rooms/${room.roomId}`).expect(404);
+    await request(app).post(`/admin/rooms/${room.roomId}/hide`).set(admin).expect(409);
+    
+    // The owner cannot make it public again
+    const update = await announceRoom(app, owner, { ...room, public: true }).expect(200);
+    expect(update.body.room.public).toBe(false);
+    expect(update.body).not.toHaveProperty('invite token');
+    
+    await request(app).delete(`/admin/rooms/${room.roomId}/hide`).set(admin).expect(200);
+    expect(await listed(room.roomId)).toBe(true);
+    await request(app).delete(`/admin/rooms/${room.roomId}/hide`).set(admin).expect(404);
+  });
+
+  test('does not hide private rooms', async () => {
+    const { room } = await createRoom({ public: false });
+    
+    const response = await request(app).post(`/admin/rooms/${room.roomId}/hide`).set(admin).expect(409);
+    
+    expect(response.body['failure reason']).toContain('private');
+  });
+
+  describe('startup blocklist', () => {
+    // A second tracker instance with rate limiting (and so IP blocks) enabled
+    let guarded;
+    const blocklistFile = path.join(os.tmpdir(), `tracker-test-blocklist-${process.pid}-${Date.now()}.json`);
+
+    beforeAll(() => {
+      fs.writeFileSync(blocklistFile, JSON.stringify({
+        ips: ['198.51.100.2', { ip: '198.51.100.3', until: Date.now() + 60000, reason: 'Spam' }],
+        addresses: [chiaAddress('banned-file')]
+      }));
+      guarded = loadTracker({
+        DISABLE_RATE_LIMIT: 'false',
+        BLOCKED_IPS: '198.51.100.1',
+        BANNED_ADDRESSES: chiaAddress('banned-env'),
+        BLOCKLIST_FILE: blocklistFile
+      });
+    });
+
+    afterAll(() => {
+      guarded.close();
+      fs.rmSync(blocklistFile, { force: true });
+    });
+
+    test('loads IP blocks from env and file', async () => {
+      for (const ip of ['198.51.100.1', '198.51.100.2', '198.51.100.3']) {
+        await request(guarded.app).get('/announce').set('X-Forwarded-For', ip).expect(403);
+      }
+      const response = await request(guarded.app).get('/announce').set('X-Forwarded-For', '198.51.100.4').expect(200);
+      expect(response.body.rooms).toEqual([]);
+      
+      const blocks = await request(guarded.app).get('/admin/blocks').set(admin).expect(200);
+      expect(blocks.body.permanent.sort()).toEqual(['198.51.100.1', '198.51.100.2']);
+      expect(blocks.body.temporary.map(block => block.reason)).toEqual(['Spam']);
+    });
+
+    test('loads banned addresses from env and file', async () => {
+      for (const seed of ['banned-env', 'banned-file']) {
+        await announceRoom(guarded.app, owner, { player1WalletAddress: chiaAddress(seed) }).expect(403);
+      }
+    });
+
+    test('admin unblocks take effect immediately', async () => {
+      await request(guarded.app).delete('/admin/blocks/198.51.100.1').set(admin).expect(200);
+      
+      await request(guarded.app).get('/announce').set('X-Forwarded-For', '198.51.100.1').expect(200);
+    });
+  });
+});
+
+describe('Storage', () => {
+  const filePath = path.join(os.tmpdir(), `tracker-store-${process.pid}-${Date.now()}.json`);
+
+  afterAll(() => {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  test('file store keeps rooms across restarts', () => {
+    const store = createRoomStore('file', { filePath });
+    store.set('persisted-room', { roomId: 'persisted-room', status: 'waiting', createdAt: 1 });
+    store.set('deleted-room', { roomId: 'deleted-room', status: 'waiting', createdAt: 2 });
+    store.delete('deleted-room');
+    store.close();
+    
+    const reopened = createRoomStore('file', { filePath });
+    expect(reopened.size).toBe(1);
+    expect(reopened.get('persisted-room')).toEqual({ roomId: 'persisted-room', status: 'waiting', createdAt: 1 });
+    expect(reopened.has('deleted-room')).toBe(false);
+    reopened.close();
+  });
+
+  test('file store labels records with its collection name', () => {
+    const playersPath = filePath.replace(/\.json$/, '-players.json');
+    const store = createRoomStore('file', { filePath: playersPath, key: 'statsId', collection: 'players' });
+    store.set('mainnet:xch1player', { statsId: 'mainnet:xch1player', games: {} });
+    store.close();
+    
+    const saved = JSON.parse(fs.readFileSync(playersPath, 'utf8'));
+    expect(saved.players).toEqual([{ statsId: 'mainnet:xch1player', games: {} }]);
+    expect(saved).not.toHaveProperty('rooms');
+    
+    // Files written before collections had names are still read
+    fs.writeFileSync(playersPath, JSON.stringify({ savedAt: 1, rooms: [{ statsId: 'mainnet:xch1legacy', games: {} }] }));
+    const reopened = createRoomStore('file', { filePath: playersPath, key: 'statsId', collection: 'players' });
+    expect(reopened.has('mainnet:xch1legacy')).toBe(true);
+    reopened.close();
+    fs.rmSync(playersPath, { force: true });
+  });
+
+  test('append-only file store logs each change instead of rewriting the file', () => {
+    const archivePath = filePath.replace(/\.json$/, '-archive.json');
+    const options = { filePath: archivePath, key: 'archiveId', collection: 'games', appendOnly: true };
+    const store = createRoomStore('file', options);
+    store.set('game-1', { archiveId: 'game-1', endReason: 'finished' });
+    store.set('game-2', { archiveId: 'game-2', endReason: 'cancelled' });
+    store.flush();
+    const written = fs.readFileSync(archivePath, 'utf8');
+    
+    store.delete('game-1');
+    store.close();
+    const appended = fs.readFileSync(archivePath, 'utf8');
+    expect(appended.startsWith(written)).toBe(true);
+    expect(appended.slice(written.length)).toBe('{"delete":"game-1"}\n');
+    
+    // A line cut short by a crash is skipped, and the log is compacted
+    fs.appendFileSync(archivePath, '{"set":{"archiveId":"ga');
+    const reopened = createRoomStore('file', options);
+    expect(Array.from(reopened.keys())).toEqual(['game-2']);
+    expect(fs.readFileSync(archivePath, 'utf8').trim().split('\n')).toHaveLength(2);
+    reopened.close();
+    
+    // Snapshot files written before the log are still read
+    fs.writeFileSync(archivePath, JSON.stringify({ savedAt: 1, games: [{ archiveId: 'game-legacy' }] }));
+    const legacy = createRoomStore('file', options);
+    expect(legacy.has('game-legacy')).toBe(true);
+    legacy.close();
+    fs.rmSync(archivePath, { force: true });
+  });
+
+  test('append-only file store keeps the order of re-inserted records', () => {
+    const playersPath = filePath.replace(/\.json$/, '-players-log.json');
+    const options = { filePath: playersPath, key: 'statsId', collection: 'players', appendOnly: true };
+    const store = createRoomStore('file', options);
+    for (const statsId of ['mainnet:a', 'mainnet:b', 'mainnet:c']) {
+      store.set(statsId, { statsId, games: {} });
+    }
+    store.flush();
+    // Most recently active players move to the end, as recordOutcome does
+    store.delete('mainnet:a');
+    store.set('mainnet:a', { statsId: 'mainnet:a', games: { tictactoe: { wins: 1 } } });
+    store.close();
+    
+    const reopened = createRoomStore('file', options);
+    expect(Array.from(reopened.keys())).toEqual(['mainnet:b', 'mainnet:c', 'mainnet:a']);
+    expect(reopened.get('mainnet:a').games.tictactoe.wins).toBe(1);
+    reopened.close();
+    fs.rmSync(playersPath, { force: true });
+  });
+
+  test('memory store starts empty every time', () => {
+    const store = createRoomStore('memory');
+    store.set('ephemeral-room', { roomId: 'ephemeral-room' });
+    store.close();
+    
+    expect(createRoomStore('memory').size).toBe(0);
+  });
+
+  test('rejects unknown drivers', () => {
+    expect(() => createRoomStore('redis')).toThrow('Unknown STORAGE_DRIVER');
+  });
+
+  test('health reports the active driver', async () => {
+    const response = await request(app)
+      .get('/health')
+      .expect(200);
+    
+    expect(response.body.storage).toBe(process.env.STORAGE_DRIVER || 'memory');
+  });
+});
+
+describe('Structured Logging', () => {
+  /**
+   * Parsed JSON log lines written through a console spy
+   */
+  function logLines(spy) {
+    return spy.mock.calls.map(([line]) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('echoes a request ID on every response', async () => {
+    const first = await request(app).get('/health').expect(200);
+    const second = await request(app).get('/no-such-endpoint').expect(404);
+    
+    expect(first.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(second.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(first.headers['x-request-id']).not.toBe(second.headers['x-request-id']);
+  });
+
+  test('reuses a well-formed incoming X-Request-ID', async () => {
+    const reused = await request(app).get('/health').set('X-Request-ID', 'edge-1234.abcd').expect(200);
+    const replaced = await request(app).get('/health').set('X-Request-ID', 'not valid <script>').expect(200);
+    
+    expect(reused.headers['x-request-id']).toBe('edge-1234.abcd');
+    expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('logs room events as JSON with room ID, client IP and request ID', async () => {
+    const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { room: { roomId }, response } = await createRoom();
+    
+    const entry = logLines(spy).find(line => line.event === 'room.created' && line.roomId === roomId);
+    expect(entry).toMatchObject({ level: 'info', requestId: response.headers['x-request-id'], status: 'waiting' });
+    expect(typeof entry.ip).toBe('string');
+    expect(Date.parse(entry.time)).not.toBeNaN();
+  });
+
+  test('logs route errors with the request ID', async () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'memoryUsage').mockImplementation(() => {
+      throw new Error('memory probe failed');
+    });
+    
+    const response = await request(app).get('/metrics').expect(500);
+    
+    expect(response.body['failure reason']).toBe('Internal server error');
+    const entry = logLines(spy).find(line => line.event === 'request.failed');
+    expect(entry).toMatchObject({
+      level: 'error',
+      route: 'GET /metrics',
+      requestId: response.headers['x-request-id'],
+      error: { message: 'memory probe failed' }
+    });
+    expect(entry.error.stack).toContain('memory probe failed');
+  });
+
+  test('honours LOG_LEVEL', async () => {
+    const quiet = loadTracker({ LOG_LEVEL: 'warn' });
+    
+    try {
+      const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      await announceRoom(quiet.app).expect(200);
+      
+      expect(logLines(spy).filter(line => line.event === 'room.created')).toEqual([]);
+    } finally {
+      quiet.close();
+    }
   });
 });
 